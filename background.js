@@ -1,28 +1,1326 @@
 /**
  * Background service worker for LekkerChat
- * Handles CORS-restricted fetches
+ * Handles CORS-restricted fetches, caches downloaded chat data and
+ * downloads chat ahead of time for offline use
  */
 
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === 'fetchChatData') {
-        // Fetch chat data from lekkerspeuren.nl (bypasses CORS in background)
-        fetch(request.url)
-            .then(response => {
+// Chrome runs this file as a service worker, Firefox loads the shared scripts from the manifest
+if (typeof importScripts === 'function') {
+    importScripts('emote-parser.js'); // parseEmoteResponse
+}
+
+// Chat cache configuration
+const CHAT_CACHE = {
+    DB_NAME: 'lekker-chat-cache',
+    DB_VERSION: 4,
+    DATA_STORE: 'chatData', // vodId -> raw chat JSON text
+    META_STORE: 'chatMeta', // vodId -> url, validators, size and last access time
+    IMPORT_STORE: 'chatImports', // vodId -> normalized chat JSON imported from disk
+    MAX_BYTES: 250 * 1024 * 1024
+};
+
+// Data provider configuration
+const PROVIDERS = {
+    STORAGE_KEY: 'dataProviders',
+    HEALTH_KEY: 'providerHealth'
+};
+
+// Built-in data providers, in default fallback order
+// Chat URLs use {vodId} as placeholder for the Twitch VOD ID, emote URLs {twitchId} for the channel.
+// For emotes the order decides which provider wins when two use the same name.
+const DEFAULT_PROVIDERS = [
+    {
+        id: 'imported',
+        name: 'Geïmporteerde bestanden',
+        kind: 'chat',
+        type: 'local',
+        enabled: true,
+        builtin: true
+    },
+    {
+        id: 'lekkerspeuren',
+        name: 'lekkerspeuren.nl',
+        kind: 'chat',
+        type: 'remote',
+        url: 'https://lekkerspeuren.nl/chats/chat_{vodId}.json',
+        enabled: true,
+        builtin: true
+    },
+    {
+        id: 'local-server',
+        name: 'Lokale server',
+        kind: 'chat',
+        type: 'remote',
+        url: 'http://127.0.0.1:3000/chat_{vodId}.json',
+        enabled: false,
+        builtin: true
+    },
+    {
+        id: 'github-timedata',
+        name: 'GitHub timedata.json',
+        kind: 'offsets',
+        type: 'remote',
+        url: 'https://raw.githubusercontent.com/hbo-nerds/lekker-chat/master/data/timedata.json',
+        enabled: true,
+        builtin: true
+    },
+    {
+        id: 'bundled-timedata',
+        name: 'Meegeleverde timedata.json',
+        kind: 'offsets',
+        type: 'bundled',
+        url: 'data/timedata.json',
+        enabled: true,
+        builtin: true
+    },
+    {
+        id: 'bundled-emotes',
+        name: 'Meegeleverde emotes.json',
+        kind: 'emotes',
+        type: 'bundled',
+        url: 'data/emotes.json',
+        enabled: true,
+        builtin: true
+    },
+    {
+        id: '7tv',
+        name: '7TV',
+        kind: 'emotes',
+        type: 'remote',
+        service: '7tv',
+        url: 'https://7tv.io/v3/users/twitch/{twitchId}',
+        enabled: true,
+        builtin: true
+    },
+    {
+        id: 'bttv',
+        name: 'BetterTTV',
+        kind: 'emotes',
+        type: 'remote',
+        service: 'bttv',
+        url: 'https://api.betterttv.net/3/cached/users/twitch/{twitchId}',
+        enabled: true,
+        builtin: true
+    },
+    {
+        id: 'ffz',
+        name: 'FrankerFaceZ',
+        kind: 'emotes',
+        type: 'remote',
+        service: 'ffz',
+        url: 'https://api.frankerfacez.com/v1/room/id/{twitchId}',
+        enabled: true,
+        builtin: true
+    }
+];
+
+// Third-party emote configuration
+const EMOTES = {
+    STORAGE_KEY: 'emoteSnapshots', // ISO date -> emotes fetched that day
+    CHANNEL_KEY: 'emoteChannelIds', // Twitch login -> Twitch user ID
+    CHANNEL_LOGIN: 'lekkerspelen',
+    REFRESH_INTERVAL: 7 * 24 * 60 * 60 * 1000,
+    MAX_SNAPSHOTS: 24,
+    GLOBAL_URLS: {
+        '7tv': 'https://7tv.io/v3/emote-sets/global',
+        bttv: 'https://api.betterttv.net/3/cached/emotes/global',
+        ffz: 'https://api.frankerfacez.com/v1/set/global'
+    }
+};
+
+// Offline download queue configuration
+const OFFLINE_QUEUE = {
+    STORAGE_KEY: 'offlineQueue',
+    MAX_ATTEMPTS: 3,
+    RETRY_DELAY: 2000,
+    PROGRESS_STEP: 0.1
+};
+
+let cacheDbPromise = null;
+let offlineQueueLock = Promise.resolve(); // Serializes offline queue updates
+let providerHealthLock = Promise.resolve(); // Serializes provider health updates
+let isProcessingOfflineQueue = false;
+let videoMapping = null; // Bundled yt-ttv.json
+
+/**
+ * Promise wrappers around the callback-style storage API
+ */
+const storage = {
+    get: (keys) => new Promise(resolve => chrome.storage.local.get(keys, resolve)),
+    set: (items) => new Promise(resolve => chrome.storage.local.set(items, resolve))
+};
+
+/**
+ * Open (and create if needed) the chat cache database
+ * @returns {Promise<IDBDatabase>} The opened database
+ */
+function openCacheDb() {
+    if (!cacheDbPromise) {
+        cacheDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(CHAT_CACHE.DB_NAME, CHAT_CACHE.DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    db.createObjectStore(CHAT_CACHE.DATA_STORE, { keyPath: 'vodId' });
+                    const metaStore = db.createObjectStore(CHAT_CACHE.META_STORE, { keyPath: 'vodId' });
+                    metaStore.createIndex('lastAccessed', 'lastAccessed');
+                }
+                if (event.oldVersion < 2) {
+                    db.createObjectStore(CHAT_CACHE.IMPORT_STORE, { keyPath: 'vodId' });
+                }
+                // Version 3 kept imports per YouTube video in a separate store, they now share IMPORT_STORE
+                if (db.objectStoreNames.contains('videoImports')) {
+                    db.deleteObjectStore('videoImports');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                cacheDbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return cacheDbPromise;
+}
+
+/**
+ * Run a transaction over the cache stores
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives (dataStore, metaStore, importStore), may return an IDBRequest
+ * @returns {Promise<*>} Result of the returned request once the transaction completes
+ */
+async function runCacheTransaction(mode, callback) {
+    const db = await openCacheDb();
+
+    return new Promise((resolve, reject) => {
+        const storeNames = [
+            CHAT_CACHE.DATA_STORE,
+            CHAT_CACHE.META_STORE,
+            CHAT_CACHE.IMPORT_STORE
+        ];
+        const transaction = db.transaction(storeNames, mode);
+        const request = callback(...storeNames.map(name => transaction.objectStore(name)));
+
+        let result;
+        if (request) {
+            request.onsuccess = () => {
+                result = request.result;
+            };
+        }
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Get the cache metadata for a VOD
+ * @param {string} vodId - Twitch VOD ID
+ * @returns {Promise<Object|undefined>} Metadata entry
+ */
+function getCacheMeta(vodId) {
+    return runCacheTransaction('readonly', (dataStore, metaStore) => metaStore.get(vodId));
+}
+
+/**
+ * Read cached chat data and mark it as recently used
+ * @param {string} vodId - Twitch VOD ID
+ * @returns {Promise<Object|null>} Parsed chat data, or null if not cached
+ */
+async function readCachedChat(vodId) {
+    const entry = await runCacheTransaction('readonly', (dataStore) => dataStore.get(vodId));
+    if (!entry) return null;
+
+    await touchCachedChat(vodId);
+    return JSON.parse(entry.text);
+}
+
+/**
+ * Update the last access time of a cached VOD
+ * @param {string} vodId - Twitch VOD ID
+ */
+async function touchCachedChat(vodId) {
+    const meta = await getCacheMeta(vodId);
+    if (!meta) return;
+
+    meta.lastAccessed = Date.now();
+    await runCacheTransaction('readwrite', (dataStore, metaStore) => metaStore.put(meta));
+}
+
+/**
+ * Pin or unpin a cached VOD; pinned entries are kept for offline use and never evicted
+ * @param {string} vodId - Twitch VOD ID
+ * @param {boolean} pinned - Whether to pin the entry
+ * @returns {Promise<boolean>} False when the VOD is not in the cache
+ */
+async function setCachedChatPinned(vodId, pinned) {
+    const meta = await getCacheMeta(vodId);
+    if (!meta) return false;
+
+    meta.pinned = pinned;
+    await runCacheTransaction('readwrite', (dataStore, metaStore) => metaStore.put(meta));
+    if (!pinned) {
+        await evictCachedChats();
+    }
+    return true;
+}
+
+/**
+ * Store downloaded chat data and evict old entries if over the size limit
+ * @param {string} vodId - Twitch VOD ID
+ * @param {string} url - URL the data was downloaded from
+ * @param {string} text - Raw chat JSON
+ * @param {Response} response - Response carrying the ETag/Last-Modified validators
+ * @param {boolean} [pin] - Store as pinned offline download, also when larger than the cache
+ */
+async function storeCachedChat(vodId, url, text, response, pin = false) {
+    // Stored as UTF-8 bytes; text.length would undercount names and emotes outside ASCII
+    const size = new Blob([text]).size;
+    const previous = await getCacheMeta(vodId);
+    const pinned = pin || !!previous?.pinned;
+    if (size > CHAT_CACHE.MAX_BYTES && !pinned) {
+        console.log(`Chat for VOD ${vodId} is larger than the cache, not caching`);
+        return;
+    }
+
+    const now = Date.now();
+    await runCacheTransaction('readwrite', (dataStore, metaStore) => {
+        dataStore.put({ vodId: vodId, text: text });
+        metaStore.put({
+            vodId: vodId,
+            url: url,
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified'),
+            size: size,
+            pinned: pinned,
+            storedAt: now,
+            lastAccessed: now
+        });
+    });
+
+    await evictCachedChats();
+}
+
+/**
+ * Remove least recently used entries until the cache fits in MAX_BYTES
+ */
+async function evictCachedChats() {
+    const entries = (await runCacheTransaction('readonly', (dataStore, metaStore) => metaStore.getAll()))
+        .filter(entry => !entry.pinned);
+    let totalBytes = entries.reduce((total, entry) => total + entry.size, 0);
+    if (totalBytes <= CHAT_CACHE.MAX_BYTES) return;
+
+    entries.sort((a, b) => a.lastAccessed - b.lastAccessed);
+
+    const evicted = [];
+    for (const entry of entries) {
+        if (totalBytes <= CHAT_CACHE.MAX_BYTES) break;
+        evicted.push(entry.vodId);
+        totalBytes -= entry.size;
+    }
+
+    await runCacheTransaction('readwrite', (dataStore, metaStore) => {
+        evicted.forEach(vodId => {
+            dataStore.delete(vodId);
+            metaStore.delete(vodId);
+        });
+    });
+    console.log('Evicted cached chats:', evicted);
+}
+
+/**
+ * Get cache usage for the popup
+ * Pinned offline downloads are counted separately as they don't count
+ * towards the size limit.
+ * @returns {Promise<Object>} Entry counts, used bytes and the limit
+ */
+async function getCacheStats() {
+    const entries = await runCacheTransaction('readonly', (dataStore, metaStore) => metaStore.getAll());
+    const cached = entries.filter(entry => !entry.pinned);
+    const pinned = entries.filter(entry => entry.pinned);
+    return {
+        count: cached.length,
+        bytes: cached.reduce((total, entry) => total + entry.size, 0),
+        offlineCount: pinned.length,
+        offlineBytes: pinned.reduce((total, entry) => total + entry.size, 0),
+        maxBytes: CHAT_CACHE.MAX_BYTES
+    };
+}
+
+/**
+ * Remove all cached chat data, keeping pinned offline downloads
+ */
+function clearChatCache() {
+    return runCacheTransaction('readwrite', (dataStore, metaStore) => {
+        const request = metaStore.getAll();
+        request.onsuccess = () => {
+            request.result
+                .filter(entry => !entry.pinned)
+                .forEach(entry => {
+                    dataStore.delete(entry.vodId);
+                    metaStore.delete(entry.vodId);
+                });
+        };
+    });
+}
+
+/**
+ * Read a response body while reporting download progress
+ * @param {Response} response - Fetch response
+ * @param {Function} [onProgress] - Called with a fraction between 0 and 1
+ * @returns {Promise<string>} Response body text
+ */
+async function readResponseText(response, onProgress) {
+    const totalBytes = parseInt(response.headers.get('Content-Length'), 10);
+    if (!onProgress || !response.body || !totalBytes) {
+        return response.text();
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let receivedBytes = 0;
+    let text = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        receivedBytes += value.length;
+        text += decoder.decode(value, { stream: true });
+        onProgress(Math.min(1, receivedBytes / totalBytes));
+    }
+
+    return text + decoder.decode();
+}
+
+/**
+ * Get the configured data providers in fallback order
+ * Built-in providers added in newer versions are appended to a stored list.
+ * @param {string} [kind] - Only return 'chat' or 'offsets' providers
+ * @returns {Promise<Array<Object>>} Provider definitions
+ */
+async function getProviders(kind) {
+    const stored = await storage.get({ [PROVIDERS.STORAGE_KEY]: null });
+    const providers = stored[PROVIDERS.STORAGE_KEY] || [];
+
+    DEFAULT_PROVIDERS.forEach(builtin => {
+        if (!providers.some(provider => provider.id === builtin.id)) {
+            providers.push({ ...builtin });
+        }
+    });
+
+    return kind ? providers.filter(provider => provider.kind === kind) : providers;
+}
+
+/**
+ * Store the provider list after validating it
+ * @param {Array<Object>} providers - Provider definitions in fallback order
+ */
+async function saveProviders(providers) {
+    providers.forEach(provider => {
+        if (provider.type === 'remote' && !isValidProviderUrl(provider)) {
+            throw new Error(`Invalid URL for provider ${provider.name}`);
+        }
+    });
+    await storage.set({ [PROVIDERS.STORAGE_KEY]: providers });
+}
+
+/**
+ * Check that a remote provider URL is http(s) and, for chat, contains the {vodId} placeholder
+ * @param {Object} provider - Provider definition
+ * @returns {boolean} Whether the URL is usable
+ */
+function isValidProviderUrl(provider) {
+    try {
+        const parsed = new URL(provider.url.replace('{vodId}', '0').replace('{twitchId}', '0'));
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+    } catch (error) {
+        return false;
+    }
+    return provider.kind !== 'chat' || provider.url.includes('{vodId}');
+}
+
+/**
+ * Record the result of a provider request for the popup
+ * Updates are chained so parallel chat and offset requests don't drop each other's results.
+ * @param {string} providerId - Provider ID
+ * @param {boolean} ok - Whether the request succeeded
+ * @param {string} [error] - Error message on failure
+ * @returns {Promise<void>}
+ */
+function reportProviderHealth(providerId, ok, error) {
+    const update = providerHealthLock.then(async () => {
+        const stored = await storage.get({ [PROVIDERS.HEALTH_KEY]: {} });
+        const health = stored[PROVIDERS.HEALTH_KEY] || {};
+        health[providerId] = { ok: ok, error: error || null, checkedAt: Date.now() };
+        await storage.set({ [PROVIDERS.HEALTH_KEY]: health });
+    });
+    // A failed write must not block the updates queued after it
+    providerHealthLock = update.catch(() => {});
+    return update;
+}
+
+/**
+ * Download chat data from one remote provider and cache it
+ * Revalidates the cached copy with ETag/Last-Modified when it came from the same URL.
+ * @param {string} url - Chat JSON URL
+ * @param {string} vodId - Twitch VOD ID used as cache key
+ * @param {Object|null} meta - Cache metadata for the VOD
+ * @param {Function} [onProgress] - Download progress callback
+ * @param {boolean} [pin] - Store the download as pinned offline copy
+ * @returns {Promise<Object>} Parsed chat data and whether it came from the cache
+ */
+async function downloadChatData(url, vodId, meta, onProgress, pin = false) {
+    const headers = {};
+    if (meta?.url === url) {
+        if (meta.etag) {
+            headers['If-None-Match'] = meta.etag;
+        }
+        if (meta.lastModified) {
+            headers['If-Modified-Since'] = meta.lastModified;
+        }
+    }
+
+    const response = await fetch(url, { headers: headers });
+
+    if (response.status === 304 && meta) {
+        return { data: await readCachedChat(vodId), fromCache: true };
+    }
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const text = await readResponseText(response, onProgress);
+    const data = JSON.parse(text);
+
+    try {
+        await storeCachedChat(vodId, url, text, response, pin);
+    } catch (error) {
+        console.warn('Could not cache chat data:', error);
+    }
+
+    return { data: data, fromCache: false };
+}
+
+/**
+ * Read an imported chat file
+ * @param {string} vodId - Twitch VOD ID
+ * @returns {Promise<Object|null>} Parsed chat data, or null if nothing was imported
+ */
+async function readImportedChat(vodId) {
+    const entry = await runCacheTransaction('readonly', (dataStore, metaStore, importStore) => importStore.get(vodId));
+    return entry ? JSON.parse(entry.text) : null;
+}
+
+/**
+ * Fetch chat data from the enabled providers in fallback order
+ * Falls back to the cached copy when every provider fails.
+ * @param {string} vodId - Twitch VOD ID
+ * @param {Object} [options]
+ * @param {boolean} [options.imported] - A file was imported for this video, read it before any cached copy or provider
+ * @param {boolean} [options.preferStored] - Use a pinned offline copy without revalidating
+ * @param {Function} [options.onProgress] - Download progress callback
+ * @param {boolean} [options.pin] - Store a download as pinned offline copy
+ * @returns {Promise<Object>} Parsed chat data, whether it came from the cache and the provider used
+ */
+async function fetchChatData(vodId, options = {}) {
+    // The user picked this file for the video, so it wins even when the local provider is switched off
+    if (options.imported) {
+        const data = await readImportedChat(vodId);
+        if (data) {
+            return { data: data, fromCache: false, provider: 'imported' };
+        }
+    }
+
+    let meta = null;
+    try {
+        meta = await getCacheMeta(vodId);
+    } catch (error) {
+        console.warn('Chat cache unavailable:', error);
+    }
+
+    if (meta && (options.preferStored && meta.pinned || navigator.onLine === false)) {
+        return { data: await readCachedChat(vodId), fromCache: true, provider: 'cache' };
+    }
+
+    const providers = (await getProviders('chat')).filter(provider => provider.enabled);
+    let lastError = null;
+
+    for (const provider of providers) {
+        try {
+            if (provider.type === 'local') {
+                const data = await readImportedChat(vodId);
+                if (data) {
+                    return { data: data, fromCache: false, provider: provider.id };
+                }
+                continue;
+            }
+
+            const url = provider.url.replace('{vodId}', encodeURIComponent(vodId));
+            const result = await downloadChatData(url, vodId, meta, options.onProgress, options.pin);
+            await reportProviderHealth(provider.id, true);
+            return { ...result, provider: provider.id };
+        } catch (error) {
+            console.warn(`Chat provider ${provider.id} failed for VOD ${vodId}:`, error);
+            await reportProviderHealth(provider.id, false, error.message);
+            lastError = error;
+        }
+    }
+
+    if (meta) {
+        console.log('All chat providers failed, using cached chat for', vodId);
+        return { data: await readCachedChat(vodId), fromCache: true, provider: 'cache' };
+    }
+
+    throw lastError || new Error('No chat provider has data for this VOD');
+}
+
+/**
+ * Fetch community offset data from the enabled providers in fallback order
+ * @returns {Promise<Object>} Offsets by YouTube video ID and the provider used
+ */
+async function fetchOffsetData() {
+    const providers = (await getProviders('offsets')).filter(provider => provider.enabled);
+    let lastError = null;
+
+    for (const provider of providers) {
+        try {
+            const url = provider.type === 'bundled' ? chrome.runtime.getURL(provider.url) : provider.url;
+            const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            await reportProviderHealth(provider.id, true);
+            return { data: data, provider: provider.id };
+        } catch (error) {
+            console.warn(`Offset provider ${provider.id} failed:`, error);
+            await reportProviderHealth(provider.id, false, error.message);
+            lastError = error;
+        }
+    }
+
+    throw lastError || new Error('No offset provider enabled');
+}
+
+/**
+ * Look up the Twitch user ID for a channel login through FrankerFaceZ
+ * @param {string} login - Twitch channel login
+ * @returns {Promise<string>} Twitch user ID
+ */
+async function resolveTwitchUserId(login) {
+    const stored = await storage.get({ [EMOTES.CHANNEL_KEY]: {} });
+    const channelIds = stored[EMOTES.CHANNEL_KEY] || {};
+    if (channelIds[login]) {
+        return channelIds[login];
+    }
+
+    const response = await fetch(`https://api.frankerfacez.com/v1/room/${encodeURIComponent(login)}`);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const twitchId = data?.room?.twitch_id;
+    if (!twitchId) {
+        throw new Error(`Unknown Twitch channel ${login}`);
+    }
+
+    channelIds[login] = String(twitchId);
+    await storage.set({ [EMOTES.CHANNEL_KEY]: channelIds });
+    return channelIds[login];
+}
+
+/**
+ * Download the current channel and global emotes from the enabled emote services
+ * @param {string} twitchId - Twitch user ID of the channel
+ * @returns {Promise<Object|null>} Emotes by name, or null when no service answered
+ */
+async function fetchEmoteSnapshot(twitchId) {
+    const providers = (await getProviders('emotes')).filter(provider => provider.enabled && provider.type === 'remote');
+    const emotes = {};
+    let answered = false;
+
+    for (const provider of providers) {
+        try {
+            const urls = [provider.url.replace('{twitchId}', encodeURIComponent(twitchId)), EMOTES.GLOBAL_URLS[provider.service]];
+            for (const url of urls.filter(Boolean)) {
+                const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
                 if (!response.ok) {
                     throw new Error(`HTTP ${response.status}: ${response.statusText}`);
                 }
-                return response.json();
-            })
-            .then(data => {
-                sendResponse({ success: true, data: data });
+
+                // Earlier providers and channel emotes win over later ones with the same name
+                const parsed = parseEmoteResponse(provider.service, await response.json());
+                Object.keys(parsed).forEach(name => {
+                    if (!emotes[name]) emotes[name] = parsed[name];
+                });
+            }
+            answered = true;
+            await reportProviderHealth(provider.id, true);
+        } catch (error) {
+            console.warn(`Emote provider ${provider.id} failed:`, error);
+            await reportProviderHealth(provider.id, false, error.message);
+        }
+    }
+
+    return answered ? emotes : null;
+}
+
+/**
+ * Get the third-party emotes that existed on a date
+ * Combines snapshots from the bundled emotes.json with snapshots cached from the
+ * emote services, refreshing the cache when the newest one is older than a week.
+ * Uses the newest snapshot from on or before the date. VODs from before the oldest snapshot
+ * get no third-party emotes, since later snapshots can hold emotes that did not exist yet.
+ * emotes.json uses the cached format: { snapshots: { 'YYYY-MM-DD': { name: { provider, id, zeroWidth } } } }
+ * Add snapshots to emotes.json with scripts/update-emotes.js.
+ * @param {Object} options - { date: 'YYYY-MM-DD' or null, twitchId: channel ID if known }
+ * @returns {Promise<Object>} { emotes, snapshotDate }
+ */
+async function getEmoteSet({ date, twitchId } = {}) {
+    const providers = (await getProviders('emotes')).filter(provider => provider.enabled);
+    const snapshots = {};
+
+    for (const provider of providers.filter(provider => provider.type === 'bundled')) {
+        try {
+            const response = await fetch(chrome.runtime.getURL(provider.url));
+            const data = await response.json();
+            Object.assign(snapshots, data.snapshots || {});
+            await reportProviderHealth(provider.id, true);
+        } catch (error) {
+            await reportProviderHealth(provider.id, false, error.message);
+        }
+    }
+
+    const stored = await storage.get({ [EMOTES.STORAGE_KEY]: {} });
+    const cached = stored[EMOTES.STORAGE_KEY] || {};
+    const newestCached = Object.keys(cached).sort().pop();
+    const isStale = !newestCached || Date.now() - Date.parse(newestCached) > EMOTES.REFRESH_INTERVAL;
+
+    if (isStale && providers.some(provider => provider.type === 'remote')) {
+        try {
+            const emotes = await fetchEmoteSnapshot(twitchId || await resolveTwitchUserId(EMOTES.CHANNEL_LOGIN));
+            if (emotes) {
+                cached[new Date().toISOString().slice(0, 10)] = emotes;
+                Object.keys(cached).sort().slice(0, -EMOTES.MAX_SNAPSHOTS).forEach(key => delete cached[key]);
+                await storage.set({ [EMOTES.STORAGE_KEY]: cached });
+            }
+        } catch (error) {
+            console.warn('Could not refresh emote snapshot:', error);
+        }
+    }
+
+    // Remote providers that are switched off should not contribute cached emotes either
+    const enabledServices = new Set(providers.map(provider => provider.service).filter(Boolean));
+    Object.entries(cached).forEach(([snapshotDate, emotes]) => {
+        snapshots[snapshotDate] = Object.fromEntries(
+            Object.entries(emotes).filter(([, emote]) => enabledServices.has(emote.provider)));
+    });
+
+    const dates = Object.keys(snapshots).sort();
+    if (dates.length === 0) {
+        return { emotes: {}, snapshotDate: null };
+    }
+
+    const snapshotDate = date ? dates.filter(snapshot => snapshot <= date).pop() : dates[dates.length - 1];
+    if (!snapshotDate) {
+        return { emotes: {}, snapshotDate: null };
+    }
+    return { emotes: snapshots[snapshotDate], snapshotDate: snapshotDate };
+}
+
+/**
+ * Probe every enabled provider and record its health
+ * Remote chat providers are checked with a HEAD request for a known VOD.
+ */
+async function checkProviders() {
+    const providers = (await getProviders()).filter(provider => provider.enabled);
+    const mapping = await loadVideoMapping();
+    const sampleVodId = Object.values(mapping)[0];
+
+    for (const provider of providers) {
+        if (provider.type === 'local') {
+            const count = await runCacheTransaction('readonly', (dataStore, metaStore, importStore) => importStore.count());
+            await reportProviderHealth(provider.id, true, count === 0 ? 'Geen bestanden' : null);
+            continue;
+        }
+
+        try {
+            let url = provider.type === 'bundled' ? chrome.runtime.getURL(provider.url) : provider.url;
+            url = url.replace('{vodId}', encodeURIComponent(sampleVodId));
+            if (url.includes('{twitchId}')) {
+                url = url.replace('{twitchId}', encodeURIComponent(await resolveTwitchUserId(EMOTES.CHANNEL_LOGIN)));
+            }
+
+            const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            await reportProviderHealth(provider.id, true);
+        } catch (error) {
+            await reportProviderHealth(provider.id, false, error.message);
+        }
+    }
+}
+
+/**
+ * Parse an IRC tag string (without the leading @) into an object
+ * @param {string} tagString - e.g. "color=#FF0000;display-name=Foo"
+ * @returns {Object} Tag values by name
+ */
+function parseIrcTags(tagString) {
+    const tags = {};
+    tagString.split(';').forEach(pair => {
+        const separator = pair.indexOf('=');
+        if (separator === -1) return;
+        tags[pair.slice(0, separator)] = pair.slice(separator + 1).replace(/\\s/g, ' ');
+    });
+    return tags;
+}
+
+/**
+ * Normalize chat from TwitchDownloaderCLI JSON
+ * @param {Object} data - Parsed file with comments[].commenter and comments[].message objects
+ * @returns {Object} Chat data in {commenters, comments} shape
+ */
+function normalizeTwitchDownloaderChat(data) {
+    const commenters = {};
+    const comments = [];
+
+    data.comments.forEach(comment => {
+        const author = comment.commenter;
+        const message = comment.message;
+        if (!author?._id || !message) return;
+
+        if (!commenters[author._id]) {
+            commenters[author._id] = {
+                name: author.name,
+                display_name: author.display_name || author.name,
+                color: message.user_color || null,
+                badges: (message.user_badges || []).map(badge => ({ _id: badge._id, version: badge.version }))
+            };
+        }
+
+        comments.push({
+            commenter: author._id,
+            message: message.body || '',
+            content_offset_seconds: comment.content_offset_seconds,
+            fragments: message.fragments,
+            bits_spent: message.bits_spent
+        });
+    });
+
+    return {
+        commenters: commenters,
+        comments: comments,
+        created_at: data.video?.created_at || data.comments[0]?.created_at || null,
+        streamer: data.streamer || null
+    };
+}
+
+/**
+ * Normalize chat from chat-downloader JSON
+ * @param {Array<Object>} messages - Messages with author objects and time_in_seconds
+ * @returns {Object} Chat data in {commenters, comments} shape
+ */
+function normalizeChatDownloaderChat(messages) {
+    const commenters = {};
+    const comments = [];
+
+    messages.forEach(message => {
+        const author = message.author;
+        if (!author || !Number.isFinite(message.time_in_seconds)) return;
+
+        const authorId = author.id || author.name;
+        if (!commenters[authorId]) {
+            commenters[authorId] = {
+                name: author.name,
+                display_name: author.display_name || author.name,
+                color: author.colour || null,
+                badges: (author.badges || []).map(badge => ({ _id: badge.name, version: String(badge.version ?? 1) }))
+            };
+        }
+
+        comments.push({
+            commenter: authorId,
+            message: message.message || '',
+            content_offset_seconds: message.time_in_seconds
+        });
+    });
+
+    // Timestamps are in microseconds, so the stream start is the first timestamp minus its offset
+    const first = messages.find(message => Number.isFinite(message.timestamp) && Number.isFinite(message.time_in_seconds));
+    const createdAt = first ? new Date(first.timestamp / 1000 - first.time_in_seconds * 1000).toISOString() : null;
+
+    return { commenters: commenters, comments: comments, created_at: createdAt };
+}
+
+/**
+ * Normalize chat from a text log
+ * Supports timestamped lines ("[1:02:03] user: message") and raw IRC
+ * PRIVMSG lines with tmi-sent-ts tags, which are timed relative to the
+ * first message. Other lines are skipped.
+ * @param {string} text - Log file contents
+ * @returns {Object} Chat data in {commenters, comments} shape
+ */
+function normalizeTextLogChat(text) {
+    const commenters = {};
+    const comments = [];
+    let firstIrcTimestamp = null;
+
+    const addComment = (name, commenter, message, offsetSeconds) => {
+        const authorId = name.toLowerCase();
+        if (!commenters[authorId]) {
+            commenters[authorId] = { name: authorId, badges: [], ...commenter };
+        }
+        comments.push({ commenter: authorId, message: message, content_offset_seconds: offsetSeconds });
+    };
+
+    text.split(/\r?\n/).forEach(line => {
+        const timestamped = line.match(/^\[(?:(\d+):)?(\d{1,2}):(\d{2})\]\s+([^\s:]+):\s?(.*)$/);
+        if (timestamped) {
+            const [, hours, minutes, seconds, name, message] = timestamped;
+            const offsetSeconds = Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds);
+            addComment(name, { display_name: name }, message, offsetSeconds);
+            return;
+        }
+
+        const irc = line.match(/^(?:@(\S+)\s)?:(\w+)!\S+\sPRIVMSG\s#\w+\s:(.*)$/);
+        if (irc) {
+            const [, tagString, nick, message] = irc;
+            const tags = tagString ? parseIrcTags(tagString) : {};
+            const timestamp = Number(tags['tmi-sent-ts']);
+            if (!Number.isFinite(timestamp)) return;
+
+            if (firstIrcTimestamp === null) {
+                firstIrcTimestamp = timestamp;
+            }
+
+            const badges = (tags.badges || '').split(',').filter(Boolean).map(badge => {
+                const [id, version] = badge.split('/');
+                return { _id: id, version: version };
+            });
+
+            addComment(nick, {
+                display_name: tags['display-name'] || nick,
+                color: tags.color || null,
+                badges: badges
+            }, message, Math.floor((timestamp - firstIrcTimestamp) / 1000));
+        }
+    });
+
+    return { commenters: commenters, comments: comments };
+}
+
+/**
+ * Convert an imported chat file into the {commenters, comments} shape used by createChatMessage
+ * @param {string} text - File contents
+ * @returns {Object} Chat data with the detected format name
+ */
+function normalizeChatImport(text) {
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        // Not JSON, try the text log formats
+    }
+
+    let chat;
+    let format;
+    if (data?.commenters && Array.isArray(data.comments)) {
+        chat = { commenters: data.commenters, comments: data.comments };
+        format = 'lekkerspeuren';
+    } else if (Array.isArray(data?.comments) && typeof data.comments[0]?.commenter === 'object') {
+        chat = normalizeTwitchDownloaderChat(data);
+        format = 'TwitchDownloader';
+    } else if (Array.isArray(data) && data[0]?.author) {
+        chat = normalizeChatDownloaderChat(data);
+        format = 'chat-downloader';
+    } else if (data === null) {
+        chat = normalizeTextLogChat(text);
+        format = 'text';
+    } else {
+        throw new Error('Unrecognized chat file format');
+    }
+
+    if (chat.comments.length === 0) {
+        throw new Error('No chat messages found in file');
+    }
+
+    return { ...chat, format: format };
+}
+
+/**
+ * Store chat files imported from disk for the local provider
+ * Every supported format is normalized first, so the local provider always
+ * returns chat in the {commenters, comments} shape.
+ * @param {Array<Object>} files - Objects with vodId, name and raw file text
+ * @returns {Promise<Array<Object>>} Per file: vodId, format and messageCount
+ */
+async function importChatFiles(files) {
+    const imports = files.map(file => {
+        let normalized;
+        try {
+            normalized = normalizeChatImport(file.text);
+        } catch (error) {
+            throw new Error(`${file.name}: ${error.message}`);
+        }
+
+        const { format, ...chat } = normalized;
+        return {
+            vodId: file.vodId,
+            name: file.name,
+            format: format,
+            messageCount: chat.comments.length,
+            text: JSON.stringify(chat)
+        };
+    });
+
+    const now = Date.now();
+    await runCacheTransaction('readwrite', (dataStore, metaStore, importStore) => {
+        imports.forEach(file => {
+            importStore.put({ vodId: file.vodId, name: file.name, text: file.text, importedAt: now });
+        });
+    });
+    return imports.map(({ vodId, format, messageCount }) => ({ vodId: vodId, format: format, messageCount: messageCount }));
+}
+
+/**
+ * Remove an imported chat file
+ * @param {string} vodId - Twitch VOD ID (or placeholder ID) it was imported under
+ */
+function deleteImportedChat(vodId) {
+    return runCacheTransaction('readwrite', (dataStore, metaStore, importStore) => {
+        importStore.delete(vodId);
+    });
+}
+
+/**
+ * Load the bundled YouTube to Twitch mapping
+ * @returns {Promise<Object>} VOD IDs by YouTube video ID
+ */
+async function loadVideoMapping() {
+    if (!videoMapping) {
+        const response = await fetch(chrome.runtime.getURL('data/yt-ttv.json'));
+        if (!response.ok) {
+            throw new Error('Failed to load video mapping data');
+        }
+        videoMapping = await response.json();
+    }
+    return videoMapping;
+}
+
+/**
+ * Find the Twitch VOD for a YouTube video in its import, the manual links and the bundled mapping
+ * @param {string} youtubeVideoId - YouTube video ID
+ * @returns {Promise<string|null>} Twitch VOD ID
+ */
+async function resolveTwitchVodId(youtubeVideoId) {
+    const mapping = await loadVideoMapping();
+    const { manualLinks, importedChats } = await storage.get({ manualLinks: {}, importedChats: {} });
+    return importedChats?.[youtubeVideoId]?.vodId || manualLinks?.[youtubeVideoId] || mapping[youtubeVideoId] || null;
+}
+
+/**
+ * Apply a change to the offline queue in storage
+ * Updates are chained so concurrent popup actions and downloads don't overwrite each other.
+ * @param {Function} mutate - Receives the queue array and changes it in place
+ * @returns {Promise<Array<Object>>} The updated queue
+ */
+function updateOfflineQueue(mutate) {
+    offlineQueueLock = offlineQueueLock.then(async () => {
+        const stored = await storage.get({ [OFFLINE_QUEUE.STORAGE_KEY]: [] });
+        const queue = stored[OFFLINE_QUEUE.STORAGE_KEY] || [];
+        mutate(queue);
+        await storage.set({ [OFFLINE_QUEUE.STORAGE_KEY]: queue });
+        return queue;
+    });
+    return offlineQueueLock;
+}
+
+/**
+ * Update a single offline queue entry
+ * @param {string} youtubeVideoId - YouTube video ID of the entry
+ * @param {Object} changes - Fields to update
+ */
+function updateOfflineEntry(youtubeVideoId, changes) {
+    return updateOfflineQueue(queue => {
+        const entry = queue.find(item => item.youtubeVideoId === youtubeVideoId);
+        if (entry) {
+            Object.assign(entry, changes);
+        }
+    });
+}
+
+/**
+ * Add YouTube videos to the offline download queue
+ * @param {Array<string>} youtubeVideoIds - YouTube video IDs
+ * @returns {Promise<number>} Number of videos that were not queued yet
+ */
+async function queueOfflineDownloads(youtubeVideoIds) {
+    let added = 0;
+    await updateOfflineQueue(queue => {
+        youtubeVideoIds.forEach(youtubeVideoId => {
+            if (queue.some(item => item.youtubeVideoId === youtubeVideoId)) return;
+            queue.push({
+                youtubeVideoId: youtubeVideoId,
+                vodId: null,
+                status: 'queued',
+                attempts: 0,
+                progress: 0,
+                error: null
+            });
+            added++;
+        });
+    });
+
+    processOfflineQueue();
+    return added;
+}
+
+/**
+ * Requeue a failed offline download
+ * @param {string} youtubeVideoId - YouTube video ID
+ */
+async function retryOfflineDownload(youtubeVideoId) {
+    await updateOfflineEntry(youtubeVideoId, { status: 'queued', attempts: 0, progress: 0, error: null });
+    processOfflineQueue();
+}
+
+/**
+ * Remove a video from the offline queue and release its stored chat
+ * @param {string} youtubeVideoId - YouTube video ID
+ */
+async function removeOfflineDownload(youtubeVideoId) {
+    let removed = null;
+    const queue = await updateOfflineQueue(items => {
+        const idx = items.findIndex(item => item.youtubeVideoId === youtubeVideoId);
+        if (idx !== -1) {
+            removed = items.splice(idx, 1)[0];
+        }
+    });
+
+    // Another queued video may share the same Twitch VOD
+    if (removed?.vodId && !queue.some(item => item.vodId === removed.vodId)) {
+        await setCachedChatPinned(removed.vodId, false);
+    }
+}
+
+/**
+ * Download one queued video, retrying with backoff before marking it as failed
+ * @param {Object} entry - Offline queue entry
+ */
+async function downloadOfflineEntry(entry) {
+    const { youtubeVideoId } = entry;
+
+    for (let attempt = entry.attempts + 1; attempt <= OFFLINE_QUEUE.MAX_ATTEMPTS; attempt++) {
+        await updateOfflineEntry(youtubeVideoId, { status: 'downloading', attempts: attempt, progress: 0, error: null });
+
+        try {
+            const vodId = await resolveTwitchVodId(youtubeVideoId);
+            if (!vodId) {
+                // Retrying won't help until the video is linked
+                await updateOfflineEntry(youtubeVideoId, { status: 'failed', error: 'Geen Twitch VOD gekoppeld' });
+                return;
+            }
+
+            // Imported chats stay in the import store until removed, so there is nothing to download
+            const imported = await runCacheTransaction('readonly', (dataStore, metaStore, importStore) => importStore.count(vodId));
+            if (imported > 0) {
+                await updateOfflineEntry(youtubeVideoId, { status: 'done', vodId: vodId, progress: 1 });
+                return;
+            }
+
+            let reportedProgress = 0;
+            await fetchChatData(vodId, {
+                pin: true,
+                onProgress: (progress) => {
+                    if (progress - reportedProgress >= OFFLINE_QUEUE.PROGRESS_STEP) {
+                        reportedProgress = progress;
+                        updateOfflineEntry(youtubeVideoId, { progress: progress });
+                    }
+                }
+            });
+
+            // Caching errors are only logged while fetching, so check that a copy was stored
+            if (!await setCachedChatPinned(vodId, true)) {
+                await updateOfflineEntry(youtubeVideoId, { status: 'failed', vodId: vodId, error: 'Chat kon niet offline worden opgeslagen' });
+                return;
+            }
+
+            await updateOfflineEntry(youtubeVideoId, { status: 'done', vodId: vodId, progress: 1 });
+            return;
+        } catch (error) {
+            console.warn(`Offline download failed for ${youtubeVideoId} (attempt ${attempt}):`, error);
+            await updateOfflineEntry(youtubeVideoId, { status: 'queued', error: error.message });
+
+            if (attempt < OFFLINE_QUEUE.MAX_ATTEMPTS) {
+                await new Promise(resolve => setTimeout(resolve, OFFLINE_QUEUE.RETRY_DELAY * 2 ** (attempt - 1)));
+            }
+        }
+    }
+
+    await updateOfflineEntry(youtubeVideoId, { status: 'failed' });
+}
+
+/**
+ * Download queued videos one at a time until the queue is empty
+ */
+async function processOfflineQueue() {
+    if (isProcessingOfflineQueue) return;
+    isProcessingOfflineQueue = true;
+
+    try {
+        while (true) {
+            const queue = await updateOfflineQueue(() => { });
+            const next = queue.find(item => item.status === 'queued');
+            if (!next) break;
+
+            await downloadOfflineEntry(next);
+        }
+    } catch (error) {
+        console.error('Error processing offline queue:', error);
+    } finally {
+        isProcessingOfflineQueue = false;
+    }
+}
+
+/**
+ * Resume downloads that were interrupted when the worker was stopped
+ */
+async function resumeOfflineQueue() {
+    await updateOfflineQueue(queue => {
+        queue.forEach(item => {
+            if (item.status === 'downloading') {
+                item.status = 'queued';
+            }
+        });
+    });
+    processOfflineQueue();
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'fetchChatData') {
+        // Fetch chat data from lekkerspeuren.nl (bypasses CORS in background)
+        fetchChatData(request.vodId, { imported: request.imported, preferStored: request.preferStored })
+            .then(result => {
+                sendResponse({ success: true, data: result.data, fromCache: result.fromCache, provider: result.provider });
             })
             .catch(error => {
                 sendResponse({ success: false, error: error.message });
             });
-        
+
         // Return true to indicate we'll send response asynchronously
         return true;
     }
+
+    if (request.action === 'fetchOffsetData') {
+        fetchOffsetData()
+            .then(result => sendResponse({ success: true, data: result.data, provider: result.provider }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'getEmoteSet') {
+        getEmoteSet({ date: request.date, twitchId: request.twitchId })
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'getProviders') {
+        Promise.all([getProviders(), storage.get({ [PROVIDERS.HEALTH_KEY]: {} })])
+            .then(([providers, stored]) => {
+                sendResponse({ success: true, providers: providers, health: stored[PROVIDERS.HEALTH_KEY] });
+            })
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'saveProviders') {
+        saveProviders(request.providers || [])
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'checkProviders') {
+        checkProviders()
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'importChatFiles') {
+        importChatFiles(request.files || [])
+            .then(imports => sendResponse({ success: true, count: imports.length, imports: imports }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'deleteImportedChat') {
+        deleteImportedChat(request.vodId)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'getCacheStats') {
+        getCacheStats()
+            .then(stats => sendResponse({ success: true, stats: stats }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'clearChatCache') {
+        clearChatCache()
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'queueOfflineDownloads') {
+        queueOfflineDownloads(request.youtubeVideoIds || [])
+            .then(added => sendResponse({ success: true, added: added }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'retryOfflineDownload') {
+        retryOfflineDownload(request.youtubeVideoId)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'removeOfflineDownload') {
+        removeOfflineDownload(request.youtubeVideoId)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
 });
 
+// Keyboard shortcuts nudge the offset in the active tab, e.g. offset-later-5
+chrome.commands?.onCommand.addListener((command) => {
+    const match = /^offset-(earlier|later)-(\d+)$/.exec(command);
+    if (!match) return;
+
+    const delta = Number(match[2]) * (match[1] === 'later' ? 1 : -1);
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs?.[0]) return;
+        chrome.tabs.sendMessage(tabs[0].id, { action: 'nudgeOffset', delta: delta }, () => {
+            if (chrome.runtime.lastError) {
+                console.log('No LekkerChat content script in the active tab');
+            }
+        });
+    });
+});
+
+resumeOfflineQueue();
+
 console.log('LekkerChat background service worker loaded');
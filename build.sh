@@ -12,7 +12,10 @@ mkdir -p dist/chrome dist/firefox
 
 # Common files for both browsers
 COMMON_FILES=(
+    "background.js"
     "content.js"
+    "defaults.js"
+    "emote-parser.js"
     "style.css"
     "data/"
     "fonts/"
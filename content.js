@@ -6,23 +6,83 @@
 // Configuration constants
 const CONSTANTS = {
     TWITCH_EMOTE_URL: 'https://static-cdn.jtvnw.net/emoticons/v1/{id}/1.0',
+    TWITCH_EMOTE_V2_URL: 'https://static-cdn.jtvnw.net/emoticons/v2/{id}/default/dark/1.0', // Also takes emotesv2_ IDs from fragments
     TWITCH_BADGE_URL: 'https://static-cdn.jtvnw.net/badges/v1/{id}/1',
-    UPDATE_INTERVAL: 100,
+    CHEERMOTE_URL: 'https://d3aqoihi2n8ty8.cloudfront.net/actions/{prefix}/dark/animated/{tier}/1.gif',
+    CHEERMOTE_PREFIXES: [
+        'Cheer', 'DoodleCheer', 'BibleThump', 'cheerwhal', 'Corgo', 'Scoops', 'uni', 'ShowLove', 'Party',
+        'SeemsGood', 'Pride', 'Kappa', 'FrankerZ', 'HeyGuys', 'DansGame', 'EleGiggle', 'TriHard', 'Kreygasm',
+        '4Head', 'SwiftRage', 'NotLikeThis', 'FailFish', 'VoHiYo', 'PJSalt', 'MrDestructoid', 'bday',
+        'RIPCheer', 'Shamrock', 'BitBoss', 'Streamlabs', 'Muxy', 'HolidayCheer', 'Goal', 'Anon', 'Charity'
+    ],
+    // Hosts that message images may load from, everything else is dropped
+    IMAGE_HOSTS: [
+        'static-cdn.jtvnw.net',
+        'd3aqoihi2n8ty8.cloudfront.net',
+        'cdn.7tv.app',
+        'cdn.betterttv.net',
+        'cdn.frankerfacez.com'
+    ],
+    CHEERMOTE_TIERS: [
+        { min: 1, color: '#979797' },
+        { min: 100, color: '#9c3ee8' },
+        { min: 1000, color: '#1db2a5' },
+        { min: 5000, color: '#0099fe' },
+        { min: 10000, color: '#f43021' }
+    ],
+    THIRD_PARTY_EMOTE_URLS: {
+        '7tv': 'https://cdn.7tv.app/emote/{id}/1x.webp',
+        bttv: 'https://cdn.betterttv.net/emote/{id}/1x',
+        ffz: 'https://cdn.frankerfacez.com/emote/{id}/1'
+    },
     URL_CHECK_INTERVAL: 1000,
     CHAT_CHECK_INTERVAL: 1000,
     VIDEO_CHECK_INTERVAL: 500,
     SKIP_THRESHOLD: 15,
-    PREVIOUS_MESSAGES_COUNT: 25
+    PREVIOUS_MESSAGES_COUNT: 25,
+    MAX_RENDERED_MESSAGES: 200,
+    HISTORY_BATCH_SIZE: 50,
+    HISTORY_LOAD_THRESHOLD: 50,
+    MAX_RECYCLED_NODES: 50,
+    SUBTITLE_DURATION: 4,
+    AUTO_SYNC_SAMPLE_INTERVAL: 250,
+    AUTO_SYNC_SAMPLE_SECONDS: 120,
+    AUTO_SYNC_REACTION_WINDOW: 6,
+    OFFSET_NUDGE_STEPS: [-30, -5, -1, 1, 5, 30], // Seconds per header nudge button
+    TOAST_DURATION: 1500,
+    MAX_ISSUE_EXAMPLES: 3, // Example errors kept per data source for the popup
+    SEARCH_MAX_RESULTS: 200,
+    SEARCH_DEBOUNCE: 250,
+    HEATMAP_HEIGHT: 24, // CSS pixels above the progress bar
+    HEATMAP_BUCKET_WIDTH: 3, // CSS pixels per heatmap bar
+    HIGHLIGHT_COUNT: 10,
+    HIGHLIGHT_BIN_SECONDS: 10, // Chat activity is scored per bin of video time
+    HIGHLIGHT_MIN_GAP: 120, // Seconds between two highlights
+    HIGHLIGHT_LEAD_IN: 15, // Chat reacts after the moment, so chapters start a bit earlier
+    HIGHLIGHT_EMOTE_WEIGHT: 0.5,
+    HIGHLIGHT_STOP_WORDS: ['de', 'het', 'een', 'en', 'is', 'dat', 'die', 'van', 'wat', 'ik', 'je', 'niet', 'op', 'in', 'met', 'the', 'and', 'you', 'this', 'that', 'what'],
+    BADGE_RANKS: { subscriber: 1, founder: 1, vip: 2, moderator: 3, broadcaster: 4 },
+    HIGHLIGHT_BADGES: ['broadcaster', 'moderator', 'vip'] // Most important first
 };
 
 // Global state
 let chatData = null;
+let chatTimeline = null; // Index over chatData.comments by content_offset_seconds
 let imageData = null;
+let thirdPartyEmotes = null; // BTTV/FFZ/7TV emotes by name from the snapshot matching the VOD date
 let ttvLink = null;
-let videoInterval = null;
+let videoSync = null; // Event listeners attached to the current <video> element
+let syncFrameId = null; // requestAnimationFrame handle while the video plays
+let pendingMessageTimers = new Map(); // Staggered release timeouts for the current second, by timer ID
 let chatInterval = null;
 let messageList = null;
 let shownMessages = new Set();
+let messageHistory = []; // All comments shown since the last reset, in display order
+let renderedStart = 0; // Index in messageHistory of the first rendered message
+let renderedEnd = 0; // Index in messageHistory after the last rendered message
+let isFollowingChat = true; // Whether the list is scrolled to the newest message
+let autoScrollTop = null; // scrollTop set by scrollToBottom, to tell its scroll events from the user's
+let recycledMessageNodes = []; // Detached <li> elements ready for reuse
 let config = null;
 let video = null;
 let lastSecond = -1;
@@ -30,8 +90,21 @@ let isActive = false;
 let originalChatContent = null; // Store original YouTube chat
 let isManualLinkMode = false; // Manual link mode flag
 let pendingVideoId = null; // YouTube video ID waiting for manual link
+let importedChats = {}; // Metadata of chat files imported per YouTube video ID
 let chatHeader = null; // Header element for chat
+let messageContextMenu = null; // Right-click menu for chat messages
+let searchPanel = null; // Chat search panel below the header
+let heatmap = null; // Activity graph above the progress bar: { canvas, observer, filter, secondCounts, layout }
+let chaptersPanel = null; // Highlight chapter list below the header
+let dataNotice = null; // Notice about skipped records below the header
 let isChatCollapsed = false; // Track chat collapse state
+let autoSyncAudio = null; // Web Audio graph tapping the video for auto sync, created once
+let autoSync = { state: 'idle' }; // Auto sync sampling state and proposed offset
+let dataIssues = []; // Records skipped while validating loaded data, by source
+let offsetState = { videoId: null, user: null, suggested: null, smart: null, source: 'smart' }; // Offset candidates for the current video
+let offsetMap = null; // Active piecewise offset segments, or null for a constant offset
+let chatFilter = null; // Compiled message filters, see compileChatFilters
+let highlightRules = null; // Compiled highlight rules, see compileHighlightRules
 
 /**
  * Browser API abstraction for cross-browser compatibility
@@ -62,48 +135,314 @@ const browserAPI = {
                     return browser.storage.local.set(items);
                 }
                 throw new Error('Storage API not available');
+            },
+            remove: (keys) => {
+                if (typeof chrome !== 'undefined' && chrome.storage) {
+                    return new Promise(resolve => chrome.storage.local.remove(keys, resolve));
+                } else if (typeof browser !== 'undefined' && browser.storage) {
+                    return browser.storage.local.remove(keys);
+                }
+                throw new Error('Storage API not available');
             }
         }
     }
 };
 
 /**
- * Replace text emotes with HTML image elements
+ * Look up a word as Twitch emote or third-party emote
+ * Twitch emotes win over BTTV/FFZ/7TV emotes with the same name.
+ * @param {string} word - Word from a chat message
+ * @param {boolean} [matchTwitchNames] - Also match Twitch emotes by name from image_ids.json
+ * @returns {Object|null} { name, url, zeroWidth, thirdParty } or null
+ */
+function findEmote(word, matchTwitchNames = true) {
+    const emoteId = matchTwitchNames && imageData?.emoticons?.[word];
+    if (emoteId) {
+        return { name: word, url: CONSTANTS.TWITCH_EMOTE_URL.replace('{id}', encodeURIComponent(emoteId)), zeroWidth: false, thirdParty: false };
+    }
+
+    const emote = thirdPartyEmotes?.[word];
+    const urlTemplate = emote && CONSTANTS.THIRD_PARTY_EMOTE_URLS[emote.provider];
+    if (urlTemplate) {
+        return { name: word, url: urlTemplate.replace('{id}', encodeURIComponent(emote.id)), zeroWidth: !!emote.zeroWidth, thirdParty: true };
+    }
+
+    return null;
+}
+
+/**
+ * Recognise a cheer like "Cheer100" in a message that spent bits
+ * @param {string} word - Word from a chat message
+ * @returns {Object|null} { name, amount, color, url } or null
+ */
+function findCheermote(word) {
+    const match = /^([a-z]+)(\d+)$/i.exec(word);
+    if (!match) return null;
+
+    const prefix = CONSTANTS.CHEERMOTE_PREFIXES.find(name => name.toLowerCase() === match[1].toLowerCase());
+    const amount = parseInt(match[2], 10);
+    if (!prefix || amount <= 0) return null;
+
+    const tier = CONSTANTS.CHEERMOTE_TIERS.filter(candidate => amount >= candidate.min).pop();
+    return {
+        name: word,
+        amount: amount,
+        color: tier.color,
+        url: CONSTANTS.CHEERMOTE_URL.replace('{prefix}', prefix.toLowerCase()).replace('{tier}', tier.min)
+    };
+}
+
+/**
+ * Add an emote to the message parts, stacking zero-width emotes on the emote before them
+ * @param {Array<Object>} parts - Message parts so far
+ * @param {Object} emote - Emote from findEmote
+ * @param {boolean} gap - Whether whitespace precedes the emote
+ */
+function pushEmotePart(parts, emote, gap) {
+    const previous = parts[parts.length - 1];
+    if (emote.zeroWidth && previous?.emotes) {
+        previous.emotes.push(emote);
+    } else {
+        parts.push({ emotes: [emote], gap: gap });
+    }
+}
+
+/**
+ * Split message text into text, emote and cheer parts
+ * @param {string} text - Message text
+ * @param {Array<Object>} parts - Parts to add to
+ * @param {Object} [options] - { matchTwitchNames, hasBits, gapBefore: text follows whitespace }
+ */
+function tokenizeMessageText(text, parts, { matchTwitchNames = true, hasBits = false, gapBefore = true } = {}) {
+    for (const match of String(text ?? '').matchAll(/\S+/g)) {
+        const word = match[0];
+        const gap = match.index > 0 || gapBefore;
+        gapBefore = true;
+
+        const cheer = hasBits ? findCheermote(word) : null;
+        if (cheer) {
+            parts.push({ cheer: cheer, gap: gap });
+            continue;
+        }
+
+        const emote = findEmote(word, matchTwitchNames);
+        if (emote) {
+            pushEmotePart(parts, emote, gap);
+        } else {
+            parts.push({ text: word, gap: gap });
+        }
+    }
+}
+
+/**
+ * Split a chat message into text, emote and cheer parts
+ * Messages with Twitch fragments use the emote IDs from the fragments, so emotes
+ * glued to punctuation still render; name matching is the fallback without them.
+ * @param {Object} msg - Message data from chat JSON
+ * @returns {Array<Object>} Parts in display order
+ */
+function getMessageParts(msg) {
+    const parts = [];
+    const hasBits = msg.bits_spent > 0;
+
+    if (!Array.isArray(msg.fragments) || msg.fragments.length === 0) {
+        tokenizeMessageText(msg.message, parts, { hasBits: hasBits });
+        return parts;
+    }
+
+    // Fragments split mid-word, e.g. "Kappa" + "!", so spacing follows the fragment text
+    let gapBefore = true;
+    msg.fragments.forEach(fragment => {
+        const text = String(fragment?.text ?? '');
+        const emoteId = fragment?.emoticon?.emoticon_id ?? fragment?.emote?.emoteID;
+        if (emoteId) {
+            pushEmotePart(parts, {
+                name: text,
+                url: CONSTANTS.TWITCH_EMOTE_V2_URL.replace('{id}', encodeURIComponent(emoteId)),
+                zeroWidth: false,
+                thirdParty: false
+            }, gapBefore);
+            gapBefore = false;
+        } else {
+            tokenizeMessageText(text, parts, { matchTwitchNames: false, hasBits: hasBits, gapBefore: gapBefore });
+            gapBefore = /\s$/.test(text) || (gapBefore && !text.trim());
+        }
+    });
+
+    return parts;
+}
+
+/**
+ * Check a colour from chat data before it goes into a style
+ * @param {*} color - Colour from chat data
+ * @returns {string|null} The colour when it is a #rgb or #rrggbb hex colour, otherwise null
+ */
+function sanitizeColor(color) {
+    return typeof color === 'string' && /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(color) ? color : null;
+}
+
+/**
+ * Check that an image URL is https and on one of the known emote/badge hosts
+ * @param {string} url - Image URL
+ * @returns {boolean} Whether the URL may be used as image source
+ */
+function isAllowedImageUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'https:' && CONSTANTS.IMAGE_HOSTS.includes(parsed.hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Create an image element for an emote, badge or cheermote
+ * @param {string} url - Image URL, checked against the host allowlist
+ * @param {string} alt - Alternative text
+ * @param {string} className - Class names
+ * @returns {HTMLImageElement|null} Image, or null when the URL is not allowed
+ */
+function createChatImage(url, alt, className) {
+    if (!isAllowedImageUrl(url)) {
+        console.warn('Blocked chat image from unknown host:', url);
+        return null;
+    }
+
+    const img = document.createElement("img");
+    img.src = url;
+    img.alt = alt;
+    img.className = className;
+    return img;
+}
+
+/**
+ * Create a text fragment element
+ * @param {string} text - Text, set as text content so markup is never parsed
+ * @returns {HTMLElement} Text fragment
+ */
+function createTextFragment(text) {
+    const span = document.createElement("span");
+    span.className = "text-fragment";
+    span.setAttribute("data-a-target", "chat-message-text");
+    span.textContent = text;
+    return span;
+}
+
+/**
+ * Render one message part as DOM
+ * @param {Object} part - Text, emote or cheer part
+ * @returns {HTMLElement} Element for the part
+ */
+function renderMessagePart(part) {
+    if (part.cheer) {
+        const cheerSpan = document.createElement("span");
+        cheerSpan.className = "chat-cheer";
+        cheerSpan.style.color = sanitizeColor(part.cheer.color) || "";
+
+        const cheerImg = createChatImage(part.cheer.url, part.cheer.name, "chat-image chat-line__message--emote");
+        if (cheerImg) {
+            cheerSpan.appendChild(cheerImg);
+        }
+
+        const amountSpan = cheerSpan.appendChild(document.createElement("span"));
+        amountSpan.className = "chat-cheer__amount";
+        amountSpan.textContent = String(part.cheer.amount);
+        return cheerSpan;
+    }
+
+    if (!part.emotes) {
+        return createTextFragment(part.text);
+    }
+
+    const emoteImgs = part.emotes
+        .map((emote, idx) => createChatImage(
+            emote.url,
+            emote.name,
+            idx > 0 ? 'chat-image chat-line__message--emote chat-emote--zero-width' : 'chat-image chat-line__message--emote'
+        ))
+        .filter(Boolean);
+
+    // Fall back to the emote names when no image may be shown
+    if (emoteImgs.length === 0) {
+        return createTextFragment(part.emotes.map(emote => emote.name).join(' '));
+    }
+
+    const emoteDiv = document.createElement("div");
+    emoteDiv.className = "chat-emote";
+    const container = emoteDiv.appendChild(document.createElement("span")).appendChild(document.createElement("div"));
+    container.className = part.emotes.some(emote => emote.thirdParty)
+        ? 'chat-image__container chat-image__container--third-party'
+        : 'chat-image__container';
+    emoteImgs.forEach(img => container.appendChild(img));
+    return emoteDiv;
+}
+
+/**
+ * Render message parts as DOM
+ * @param {Array<Object>} parts - Parts from getMessageParts
+ * @returns {DocumentFragment} Rendered parts separated by spaces where the message had them
+ */
+function renderMessageParts(parts) {
+    const fragment = document.createDocumentFragment();
+    parts.forEach((part, idx) => {
+        if (idx > 0 && part.gap !== false) {
+            fragment.appendChild(document.createTextNode(' '));
+        }
+        fragment.appendChild(renderMessagePart(part));
+    });
+    return fragment;
+}
+
+/**
+ * Replace text emotes with image elements
+ * Zero-width emotes are stacked on top of the emote before them.
  * @param {string} content - The message content
- * @returns {string} HTML string with emotes replaced
+ * @returns {DocumentFragment} Message with emotes replaced
  */
 function replaceEmotes(content) {
-    if (!imageData?.emoticons) return content;
-
     try {
-        return content.split(/\s+/).map(word => {
-            const emoteId = imageData.emoticons[word];
-            if (emoteId) {
-                const emoteUrl = CONSTANTS.TWITCH_EMOTE_URL.replace('{id}', emoteId);
-                const emoteImg = `<img src="${emoteUrl}" alt="${word}" class="chat-image chat-line__message--emote">`;
-                return `<div class='chat-emote'><span><div class='chat-image__container'>${emoteImg}</div></span></div>`;
-            } else {
-                return `<span class="text-fragment" data-a-target="chat-message-text">${word}</span>`;
-            }
-        }).join(' ');
+        const parts = [];
+        tokenizeMessageText(content, parts);
+        return renderMessageParts(parts);
     } catch (error) {
         console.error('Error replacing emotes:', error);
-        return content;
+        return createTextFragment(String(content ?? ''));
+    }
+}
+
+/**
+ * Render the content of a chat message
+ * @param {Object} msg - Message data from chat JSON
+ * @returns {DocumentFragment|HTMLElement} Rendered message
+ */
+function renderMessageContent(msg) {
+    try {
+        return renderMessageParts(getMessageParts(msg));
+    } catch (error) {
+        console.error('Error rendering message fragments:', error);
+        return replaceEmotes(msg.message);
     }
 }
 
 /**
  * Create a chat message DOM element
  * @param {Object} msg - Message data from chat JSON
+ * @param {HTMLElement} [li] - Recycled list item to render into
  * @returns {HTMLElement} List item containing the formatted message
  */
-function createChatMessage(msg) {
+function createChatMessage(msg, li = document.createElement("li")) {
+    li.removeAttribute("class");
+    li.textContent = "";
+
     if (!msg || !chatData?.commenters?.[msg.commenter]) {
         console.warn('Invalid message data:', msg);
-        return document.createElement("li");
+        return li;
     }
 
-    const li = document.createElement("li");
+    const highlight = getHighlightType(msg);
+    if (highlight) {
+        li.classList.add("lekker-chat-highlight", `lekker-chat-highlight--${highlight}`);
+    }
 
     const vodMessage = li.appendChild(document.createElement("div"));
     vodMessage.className = "vod-message";
@@ -123,28 +462,33 @@ function createChatMessage(msg) {
                 return;
             }
 
-            const badgeDiv = badgesSpan.appendChild(document.createElement("div"));
-            badgeDiv.className = "badge-box";
-
-            const badgeA = badgeDiv.appendChild(document.createElement("a"));
-            const badgeImg = badgeA.appendChild(document.createElement("img"));
             const badgeId = imageData.badges[badge._id]?.[parseInt(badge.version)];
             if (!badgeId) {
                 console.warn(`Badge version ${badge.version} not found for badge ID ${badge._id}`);
                 return;
             }
-            const badgeUrl = CONSTANTS.TWITCH_BADGE_URL.replace('{id}', badgeId);
-            badgeImg.setAttribute("src", badgeUrl);
-            badgeImg.className = "chat-badge";
+            const badgeUrl = CONSTANTS.TWITCH_BADGE_URL.replace('{id}', encodeURIComponent(badgeId));
+            const badgeImg = createChatImage(badgeUrl, String(badge._id), "chat-badge");
+            if (!badgeImg) return;
+
+            const badgeDiv = badgesSpan.appendChild(document.createElement("div"));
+            badgeDiv.className = "badge-box";
+            badgeDiv.appendChild(document.createElement("a")).appendChild(badgeImg);
         });
     }
 
     const authorA = vodMessageDiv3.appendChild(document.createElement("a"));
-    authorA.setAttribute("href", "https://twitch.tv/" + author.name);
+    // Twitch logins are letters, digits and underscores; anything else gets no link
+    if (/^\w+$/.test(author.name ?? '')) {
+        authorA.setAttribute("href", "https://twitch.tv/" + author.name);
+    }
     authorA.className = "chat-author-link";
 
     const authorSpan = authorA.appendChild(document.createElement("span"));
-    authorSpan.innerHTML = `<span class='chat-author__display-name' style='color: ${author.color ?? "#fff"};'>${author.display_name}</span>`;
+    const displayNameSpan = authorSpan.appendChild(document.createElement("span"));
+    displayNameSpan.className = "chat-author__display-name";
+    displayNameSpan.style.color = sanitizeColor(author.color) || "#fff";
+    displayNameSpan.textContent = String(author.display_name ?? author.name ?? '');
 
     const messageDiv = vodMessageDiv3.appendChild(document.createElement("div"));
     messageDiv.className = "video-chat__message";
@@ -153,15 +497,387 @@ function createChatMessage(msg) {
     colonSpan.className = "colon";
 
     const messageSpan = messageDiv.appendChild(document.createElement("span"));
-    messageSpan.innerHTML = replaceEmotes(msg.message);
+    messageSpan.appendChild(renderMessageContent(msg));
+
+    // Lets click handlers on the list find the comment of a recycled node
+    li.chatComment = msg;
 
     return li;
 }
 
+/**
+ * Align the chat so a message is shown at the current video time, and save that offset
+ * @param {Object} comment - Comment that happens now
+ */
+async function syncToMessage(comment) {
+    if (!video || !comment) return;
+
+    const offset = Math.round(video.currentTime - comment.content_offset_seconds);
+    await setCurrentOffset(offset);
+
+    const author = chatData?.commenters?.[comment.commenter];
+    showToast(`Chat offset ${formatOffset(offset)} (bericht van ${author?.display_name ?? 'onbekend'})`);
+}
+
+/**
+ * Close the message context menu
+ */
+function hideMessageContextMenu() {
+    if (messageContextMenu) {
+        messageContextMenu.hidden = true;
+    }
+}
+
+/**
+ * Show the context menu for a chat message at the mouse position
+ * @param {MouseEvent} event - The contextmenu event
+ * @param {Object} comment - Comment under the mouse
+ */
+function showMessageContextMenu(event, comment) {
+    if (!messageContextMenu) {
+        messageContextMenu = document.createElement('div');
+        messageContextMenu.className = 'lekker-chat-menu lekker-chat-context-menu';
+
+        const syncOption = document.createElement('button');
+        syncOption.textContent = 'Dit bericht gebeurt nu';
+        syncOption.addEventListener('click', () => {
+            hideMessageContextMenu();
+            syncToMessage(messageContextMenu.comment).catch(error => {
+                console.error('Failed to sync to message:', error);
+                showToast('Kan offset niet aanpassen');
+            });
+        });
+        messageContextMenu.appendChild(syncOption);
+
+        document.addEventListener('click', hideMessageContextMenu);
+        document.addEventListener('keydown', (keyEvent) => {
+            if (keyEvent.key === 'Escape') hideMessageContextMenu();
+        });
+    }
+
+    // In fullscreen only the fullscreen element renders, so the menu moves in there
+    (document.fullscreenElement || document.body).appendChild(messageContextMenu);
+    messageContextMenu.comment = comment;
+    messageContextMenu.style.left = `${event.clientX}px`;
+    messageContextMenu.style.top = `${event.clientY}px`;
+    messageContextMenu.hidden = false;
+}
+
+/**
+ * Shift-click on a message syncs the chat to it
+ * @param {MouseEvent} event - The click event
+ */
+function handleMessageListClick(event) {
+    if (!event.shiftKey) return;
+
+    const comment = event.target.closest('li')?.chatComment;
+    if (!comment) return;
+
+    // Shift-click on the author link would otherwise open a new window
+    event.preventDefault();
+    syncToMessage(comment).catch(error => {
+        console.error('Failed to sync to message:', error);
+        showToast('Kan offset niet aanpassen');
+    });
+}
+
+/**
+ * Right-click on a message opens the sync menu instead of the browser menu
+ * @param {MouseEvent} event - The contextmenu event
+ */
+function handleMessageListContextMenu(event) {
+    const comment = event.target.closest('li')?.chatComment;
+    if (!comment) return;
+
+    event.preventDefault();
+    showMessageContextMenu(event, comment);
+}
+
 // Variables already declared at top of file
 
+/**
+ * Render a message into a recycled list item when one is available
+ * @param {Object} comment - Comment data to render
+ * @returns {HTMLElement} List item containing the formatted message
+ */
+function acquireMessageNode(comment) {
+    const recycled = recycledMessageNodes.pop();
+    return recycled ? createChatMessage(comment, recycled) : createChatMessage(comment);
+}
+
+/**
+ * Detach a rendered message and keep it for reuse
+ * @param {HTMLElement} node - List item to release
+ */
+function releaseMessageNode(node) {
+    node.remove();
+    if (recycledMessageNodes.length < CONSTANTS.MAX_RECYCLED_NODES) {
+        recycledMessageNodes.push(node);
+    }
+}
+
+/**
+ * Remove rendered messages until the list is within MAX_RENDERED_MESSAGES
+ * @param {string} side - 'start' to drop the oldest nodes, 'end' to drop the newest
+ */
+function trimRenderedMessages(side) {
+    while (renderedEnd - renderedStart > CONSTANTS.MAX_RENDERED_MESSAGES) {
+        if (side === 'start') {
+            const node = messageList.firstElementChild;
+            // Keep the visible messages in place when the user is reading history
+            if (!isFollowingChat) {
+                messageList.scrollTop -= node.offsetHeight;
+            }
+            releaseMessageNode(node);
+            renderedStart++;
+        } else {
+            releaseMessageNode(messageList.lastElementChild);
+            renderedEnd--;
+        }
+    }
+}
+
+/**
+ * Render a batch of older history above the current window
+ */
+function loadOlderMessages() {
+    if (renderedStart === 0) return;
+
+    const batchStart = Math.max(0, renderedStart - CONSTANTS.HISTORY_BATCH_SIZE);
+    const fragment = document.createDocumentFragment();
+    for (let i = batchStart; i < renderedStart; i++) {
+        fragment.appendChild(acquireMessageNode(messageHistory[i]));
+    }
+
+    const previousHeight = messageList.scrollHeight;
+    messageList.insertBefore(fragment, messageList.firstChild);
+    messageList.scrollTop += messageList.scrollHeight - previousHeight;
+
+    renderedStart = batchStart;
+    isFollowingChat = false;
+    trimRenderedMessages('end');
+}
+
+/**
+ * Render a batch of newer history below the current window
+ * @param {boolean} [follow] - Follow the chat again once the newest message is rendered
+ */
+function loadNewerMessages(follow = false) {
+    if (renderedEnd === messageHistory.length) return;
+
+    const batchEnd = Math.min(messageHistory.length, renderedEnd + CONSTANTS.HISTORY_BATCH_SIZE);
+    const fragment = document.createDocumentFragment();
+    for (let i = renderedEnd; i < batchEnd; i++) {
+        fragment.appendChild(acquireMessageNode(messageHistory[i]));
+    }
+
+    messageList.appendChild(fragment);
+    renderedEnd = batchEnd;
+    trimRenderedMessages('start');
+
+    if (follow && renderedEnd === messageHistory.length) {
+        isFollowingChat = true;
+        scrollToBottom();
+    }
+}
+
+/**
+ * Load history on demand while the user scrolls the message list
+ */
+function handleMessageListScroll() {
+    if (!messageList) return;
+
+    // The scroll event of scrollToBottom can arrive after newer messages were appended
+    // and look like a scroll up; only the user may stop following the chat
+    if (messageList.scrollTop === autoScrollTop) return;
+    autoScrollTop = null;
+
+    const distanceFromBottom = messageList.scrollHeight - messageList.scrollTop - messageList.clientHeight;
+    isFollowingChat = renderedEnd === messageHistory.length && distanceFromBottom < 5;
+
+    if (messageList.scrollTop < CONSTANTS.HISTORY_LOAD_THRESHOLD) {
+        loadOlderMessages();
+    } else if (distanceFromBottom < CONSTANTS.HISTORY_LOAD_THRESHOLD) {
+        loadNewerMessages(distanceFromBottom < 5);
+    }
+}
+
+/**
+ * Remove all messages and reset the message history
+ */
+function clearMessages() {
+    cancelPendingMessages(false);
+    shownMessages.clear();
+    messageHistory = [];
+    renderedStart = 0;
+    renderedEnd = 0;
+    isFollowingChat = true;
+    autoScrollTop = null;
+
+    if (messageList) {
+        messageList.innerHTML = "";
+    }
+}
+
+/**
+ * Turn the stored filter settings into lookups that are cheap to run per message
+ * @param {Object} filters - Filter settings, see DEFAULT_FILTERS in defaults.js
+ * @returns {Object} { hiddenUsers, hideCommands, keywords, minRank, messageType }
+ */
+function compileChatFilters(filters) {
+    const settings = { ...DEFAULT_FILTERS, ...filters };
+    const toNames = (names) => (Array.isArray(names) ? names : [])
+        .map(name => String(name).trim().toLowerCase())
+        .filter(Boolean);
+
+    const keywords = [];
+    (Array.isArray(settings.keywords) ? settings.keywords : []).forEach(pattern => {
+        if (!String(pattern).trim()) return;
+        try {
+            keywords.push(new RegExp(pattern, 'iu'));
+        } catch (error) {
+            console.warn(`Ignoring invalid filter pattern ${pattern}:`, error.message);
+        }
+    });
+
+    return {
+        hiddenUsers: new Set([...toNames(settings.mutedUsers), ...(settings.hideBots ? toNames(settings.bots) : [])]),
+        hideCommands: settings.hideCommands === true,
+        keywords: keywords,
+        minRank: CONSTANTS.BADGE_RANKS[settings.minBadge] || 0,
+        messageType: settings.messageType
+    };
+}
+
+/**
+ * Get the highest badge rank of a chatter, see CONSTANTS.BADGE_RANKS
+ * @param {Object} author - Commenter from chat data
+ * @returns {number} Rank, 0 without ranked badges
+ */
+function getBadgeRank(author) {
+    return (author?.badges || []).reduce((rank, badge) =>
+        Math.max(rank, CONSTANTS.BADGE_RANKS[String(badge._id).toLowerCase()] || 0), 0);
+}
+
+/**
+ * Check whether a comment gets through the active message filters
+ * @param {Object} comment - Comment data
+ * @returns {boolean} False when the comment should be hidden
+ */
+function passesChatFilters(comment) {
+    if (!chatFilter) return true;
+
+    const author = chatData?.commenters?.[comment.commenter];
+    const names = [author?.name, author?.display_name].map(name => String(name ?? '').toLowerCase());
+    if (names.some(name => chatFilter.hiddenUsers.has(name))) return false;
+
+    if (chatFilter.minRank > 0 && getBadgeRank(author) < chatFilter.minRank) return false;
+
+    if (highlightRules?.highlightsOnly && !getHighlightType(comment)) return false;
+
+    const text = comment.message.trim();
+    if (chatFilter.hideCommands && text.startsWith('!')) return false;
+    if (chatFilter.keywords.some(pattern => pattern.test(text))) return false;
+
+    if (chatFilter.messageType !== 'all') {
+        const parts = getMessageParts(comment);
+        const emoteOnly = parts.length > 0 && parts.every(part => part.emotes || part.cheer);
+        const hasEmotes = parts.some(part => part.emotes);
+        if (chatFilter.messageType === 'emotes' ? !emoteOnly : hasEmotes) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Turn the stored highlight settings into patterns that are cheap to run per message
+ * @param {Object} highlights - Highlight settings, see DEFAULT_HIGHLIGHTS in defaults.js
+ * @returns {Object} { badges, mention, keywords, highlightsOnly }
+ */
+function compileHighlightRules(highlights) {
+    const settings = { ...DEFAULT_HIGHLIGHTS, ...highlights };
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    const names = settings.mentions
+        ? [...(Array.isArray(settings.members) ? settings.members : []), settings.username]
+            .map(name => String(name ?? '').trim().replace(/^@/, ''))
+            .filter(Boolean)
+        : [];
+
+    const keywords = [];
+    (Array.isArray(settings.keywords) ? settings.keywords : []).forEach(pattern => {
+        if (!String(pattern).trim()) return;
+        try {
+            keywords.push(new RegExp(pattern, 'iu'));
+        } catch (error) {
+            console.warn(`Ignoring invalid highlight pattern ${pattern}:`, error.message);
+        }
+    });
+
+    return {
+        badges: settings.badges === true,
+        // Whole words only, so "kees" does not light up "keeshond"
+        mention: names.length > 0
+            ? new RegExp(`(?<![\\p{L}\\p{N}_])@?(?:${names.map(escape).join('|')})(?![\\p{L}\\p{N}_])`, 'iu')
+            : null,
+        keywords: keywords,
+        highlightsOnly: settings.highlightsOnly === true
+    };
+}
+
+/**
+ * Find the highlight rule a comment matches
+ * @param {Object} comment - Comment data
+ * @returns {string|null} 'broadcaster', 'moderator', 'vip', 'mention', 'keyword' or null
+ */
+function getHighlightType(comment) {
+    if (!highlightRules) return null;
+
+    if (highlightRules.badges) {
+        const badgeIds = (chatData?.commenters?.[comment.commenter]?.badges || [])
+            .map(badge => String(badge._id).toLowerCase());
+        const badge = CONSTANTS.HIGHLIGHT_BADGES.find(id => badgeIds.includes(id));
+        if (badge) return badge;
+    }
+
+    if (highlightRules.mention?.test(comment.message)) return 'mention';
+    if (highlightRules.keywords.some(pattern => pattern.test(comment.message))) return 'keyword';
+
+    return null;
+}
+
+/**
+ * Replace the active highlight rules and show the chat again with them
+ * @param {Object} highlights - Highlight settings, see DEFAULT_HIGHLIGHTS in defaults.js
+ */
+function applyHighlightRules(highlights) {
+    highlightRules = compileHighlightRules(highlights);
+    console.log('Highlight rules updated:', highlights);
+
+    // Rendered messages keep their old highlight until they are built again
+    if (isActive) {
+        refreshChatWithNewOffset();
+    }
+}
+
+/**
+ * Replace the active message filters and show the chat again with them
+ * @param {Object} filters - Filter settings, see DEFAULT_FILTERS in defaults.js
+ */
+function applyChatFilters(filters) {
+    chatFilter = compileChatFilters(filters);
+    console.log('Chat filters updated:', filters);
+
+    // Rebuild the visible chat so hidden messages disappear and unhidden ones return
+    if (isActive) {
+        refreshChatWithNewOffset();
+    }
+}
+
 /**
  * Display a chat message and handle auto-scrolling
+ * Only a window of at most MAX_RENDERED_MESSAGES is kept in the DOM; the
+ * rest stays in messageHistory and is rendered again when scrolled to.
  * @param {Object} comment - Comment data to display
  */
 function showMessage(comment) {
@@ -170,16 +886,18 @@ function showMessage(comment) {
         return;
     }
 
-    const isAtBottom = messageList.scrollTop == null ? false :
-        Math.abs(messageList.scrollTop + messageList.clientHeight - messageList.scrollHeight) < 5;
-
     shownMessages.add(comment);
-    const messageElement = createChatMessage(comment);
-    messageList.appendChild(messageElement);
+    messageHistory.push(comment);
 
-    if (isAtBottom || config?.autoScroll !== false) {
-        scrollToBottom();
+    // While the user reads history, new messages wait until scrolled to
+    if (!isFollowingChat || renderedEnd !== messageHistory.length - 1) {
+        return;
     }
+
+    messageList.appendChild(acquireMessageNode(comment));
+    renderedEnd++;
+    trimRenderedMessages('start');
+    scrollToBottom();
 }
 
 /**
@@ -189,6 +907,7 @@ function scrollToBottom() {
     if (messageList) {
         requestAnimationFrame(() => {
             messageList.scrollTop = messageList.scrollHeight;
+            autoScrollTop = messageList.scrollTop;
         });
     }
 }
@@ -292,17 +1011,909 @@ function toggleChatCollapse() {
 }
 
 /**
- * Create a header for the chat with collapse button
- * @param {HTMLElement} chatContainer - The chat container element
+ * Apply the shared header button look and hover effect
+ * @param {HTMLButtonElement} button - Button to style
  */
-function createChatHeader(chatContainer) {
-    // Remove existing header if present
-    if (chatHeader && chatHeader.parentNode) {
-        chatHeader.remove();
-    }
-    
-    chatHeader = document.createElement('div');
-    chatHeader.className = 'lekker-chat-header';
+function styleHeaderButton(button) {
+    button.style.cssText = `
+        background: none;
+        border: none;
+        color: #efeff1;
+        cursor: pointer;
+        font-size: 16px;
+        padding: 4px 8px;
+        transition: background-color 0.2s;
+        border-radius: 4px;
+    `;
+
+    button.addEventListener('mouseenter', () => {
+        button.style.backgroundColor = '#2d2d2d';
+    });
+
+    button.addEventListener('mouseleave', () => {
+        button.style.backgroundColor = 'transparent';
+    });
+}
+
+/**
+ * Format an offset in seconds as m:ss
+ * @param {number} seconds - Offset in seconds
+ * @returns {string} Offset, e.g. 15:00 or -0:30
+ */
+function formatOffset(seconds) {
+    const absSeconds = Math.abs(Math.round(seconds));
+    const minutes = Math.floor(absSeconds / 60);
+    return `${seconds < 0 ? '-' : ''}${minutes}:${String(absSeconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Show a short message on top of the video player
+ * @param {string} message - Message to show
+ */
+function showToast(message) {
+    const player = document.querySelector('#movie_player');
+    let toast = document.querySelector('.lekker-chat-toast');
+
+    if (!toast) {
+        toast = document.createElement('div');
+        toast.className = 'lekker-chat-toast';
+    }
+    if (toast.parentNode !== (player || document.body)) {
+        (player || document.body).appendChild(toast);
+    }
+    toast.classList.toggle('lekker-chat-toast--fixed', !player);
+
+    toast.textContent = message;
+    toast.hidden = false;
+    clearTimeout(toast.hideTimer);
+    toast.hideTimer = setTimeout(() => {
+        toast.hidden = true;
+    }, CONSTANTS.TOAST_DURATION);
+}
+
+/**
+ * Shift the offset of the current video and show the new value
+ * A positive delta shows chat later, a negative delta earlier.
+ * @param {number} delta - Seconds to add to the offset
+ * @returns {Promise<number|null>} New offset, or null without active chat
+ */
+async function nudgeOffset(delta) {
+    if (!isActive || !offsetState.videoId) {
+        showToast('Geen chat actief voor deze video');
+        return null;
+    }
+
+    await setVideoOffset(shiftOffsetEntry(delta));
+
+    const offset = getTimeOffset();
+    showToast(`Chat offset ${formatOffset(offset)} (${delta > 0 ? '+' : '−'}${Math.abs(delta)}s)`);
+    return offset;
+}
+
+/**
+ * Create the offset nudge buttons for the chat header
+ * @returns {HTMLElement} Button group
+ */
+function createNudgeControls() {
+    const group = document.createElement('div');
+    group.className = 'lekker-chat-nudge';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-label', 'Chat offset');
+
+    CONSTANTS.OFFSET_NUDGE_STEPS.forEach(delta => {
+        const button = document.createElement('button');
+        button.textContent = `${delta > 0 ? '+' : '−'}${Math.abs(delta)}`;
+        button.title = `Chat ${Math.abs(delta)}s ${delta > 0 ? 'later' : 'eerder'} tonen`;
+        button.setAttribute('aria-label', `Offset ${delta > 0 ? 'plus' : 'min'} ${Math.abs(delta)} seconden`);
+        button.addEventListener('click', () => {
+            nudgeOffset(delta).catch(error => {
+                console.error('Failed to nudge offset:', error);
+                showToast('Kan offset niet aanpassen');
+            });
+        });
+        group.appendChild(button);
+    });
+
+    return group;
+}
+
+/**
+ * Import a chat file picked or dropped in the chat header
+ * @param {File} file - The chat file
+ */
+async function importChatFileFromHeader(file) {
+    try {
+        await importChatFile(await file.text(), file.name);
+    } catch (error) {
+        console.error('Failed to import chat file:', error);
+        flashHeaderTitle(`Import mislukt: ${error.message}`);
+    }
+}
+
+/**
+ * Temporarily replace the header title with a status message
+ * @param {string} message - Message to show
+ */
+function flashHeaderTitle(message) {
+    const title = chatHeader?.querySelector('.lekker-chat-title');
+    if (!title) return;
+
+    title.textContent = message;
+    clearTimeout(title.resetTimer);
+    title.resetTimer = setTimeout(() => {
+        title.textContent = 'Lekker Chat';
+    }, 3000);
+}
+
+/**
+ * Format seconds as a subtitle timestamp
+ * @param {number} seconds - Time in seconds
+ * @param {string} format - 'srt', 'vtt' or 'ass'
+ * @returns {string} Timestamp, e.g. 01:02:03,450 (SRT), 01:02:03.450 (VTT) or 1:02:03.45 (ASS)
+ */
+function formatSubtitleTime(seconds, format) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    const ms = totalMs % 1000;
+    const mmss = `${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+
+    if (format === 'ass') {
+        return `${hours}:${mmss}.${String(Math.floor(ms / 10)).padStart(2, '0')}`;
+    }
+    const separator = format === 'srt' ? ',' : '.';
+    return `${String(hours).padStart(2, '0')}:${mmss}${separator}${String(ms).padStart(3, '0')}`;
+}
+
+/**
+ * Convert a #RRGGBB colour to an ASS &HBBGGRR& colour
+ * @param {string} color - CSS hex colour
+ * @returns {string} ASS colour, white when the input is not a hex colour
+ */
+function toAssColor(color) {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+    if (!match) return '&HFFFFFF&';
+    return `&H${match[3]}${match[2]}${match[1]}&`.toUpperCase();
+}
+
+/**
+ * Build a subtitle file from the synced chat of the current video
+ * Message times include the current offset; messages before the start of the video are left out.
+ * @param {string} format - 'srt', 'vtt' or 'ass'
+ * @returns {string} Subtitle file contents
+ */
+function buildChatSubtitles(format) {
+    const cues = getExportableComments()
+        .map(comment => ({
+            start: chatTimeToVideoTime(comment.content_offset_seconds),
+            author: chatData.commenters[comment.commenter],
+            message: String(comment.message ?? '').replace(/\s+/g, ' ')
+        }))
+        .filter(cue => cue.start !== null && cue.start >= 0 && cue.author);
+
+    const lines = [];
+
+    if (format === 'srt') {
+        cues.forEach((cue, idx) => {
+            lines.push(
+                String(idx + 1),
+                `${formatSubtitleTime(cue.start, format)} --> ${formatSubtitleTime(cue.start + CONSTANTS.SUBTITLE_DURATION, format)}`,
+                `${cue.author.display_name}: ${cue.message}`,
+                ''
+            );
+        });
+    } else if (format === 'vtt') {
+        const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        lines.push('WEBVTT', '');
+        cues.forEach(cue => {
+            lines.push(
+                `${formatSubtitleTime(cue.start, format)} --> ${formatSubtitleTime(cue.start + CONSTANTS.SUBTITLE_DURATION, format)}`,
+                `<v ${escapeVtt(cue.author.display_name)}>${escapeVtt(cue.message)}`,
+                ''
+            );
+        });
+    } else if (format === 'ass') {
+        // Braces start override blocks in ASS, so they can't appear in chat text
+        const escapeAss = (text) => text.replace(/\\/g, '\u29F5').replace(/{/g, '(').replace(/}/g, ')');
+        lines.push(
+            '[Script Info]',
+            'Title: LekkerChat',
+            'ScriptType: v4.00+',
+            'WrapStyle: 0',
+            'PlayResX: 1920',
+            'PlayResY: 1080',
+            '',
+            '[V4+ Styles]',
+            'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+            'Style: Chat,Inter,36,&H00FFFFFF,&H00FFFFFF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,2,0,7,40,40,40,1',
+            '',
+            '[Events]',
+            'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+        );
+        cues.forEach(cue => {
+            const name = escapeAss(String(cue.author.display_name ?? '').replace(/\s+/g, ' '));
+            // Only Text may hold commas, in Name they would shift the fields after it
+            const nameField = name.replace(/,/g, '\u201A');
+            lines.push(
+                `Dialogue: 0,${formatSubtitleTime(cue.start, format)},${formatSubtitleTime(cue.start + CONSTANTS.SUBTITLE_DURATION, format)},Chat,${nameField},0,0,0,,` +
+                `{\\b1\\c${toAssColor(cue.author.color)}}${name}{\\b0\\c&HFFFFFF&}: ${escapeAss(cue.message)}`
+            );
+        });
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Get the comments to include in an export, in chat order
+ * Messages hidden by the active filters are left out, like in the chat itself.
+ * @returns {Array<Object>} Comments
+ */
+function getExportableComments() {
+    return chatTimeline ? chatTimeline.comments.filter(passesChatFilters) : [];
+}
+
+/**
+ * Download the synced chat of the current video as a subtitle file
+ * @param {string} format - 'srt', 'vtt' or 'ass'
+ */
+function exportChatSubtitles(format) {
+    if (!chatTimeline) return;
+
+    const videoId = new URLSearchParams(window.location.search).get("v");
+    downloadTextFile(buildChatSubtitles(format), `lekkerchat_${videoId}.${format}`);
+
+    console.log(`Exported chat as ${format.toUpperCase()} subtitles`);
+}
+
+/**
+ * Let the browser download a text file
+ * @param {string} text - File contents
+ * @param {string} fileName - Suggested file name
+ */
+function downloadTextFile(text, fileName) {
+    const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Create the export button with its subtitle format menu
+ * @returns {HTMLElement} Wrapper holding the button and menu
+ */
+function createExportMenu() {
+    const wrapper = document.createElement('div');
+    wrapper.style.cssText = 'position: relative;';
+
+    const exportButton = document.createElement('button');
+    exportButton.className = 'lekker-chat-export';
+    exportButton.textContent = '⤓';
+    exportButton.title = 'Chat exporteren als ondertitels';
+    exportButton.setAttribute('aria-label', 'Export chat as subtitles');
+    exportButton.setAttribute('aria-haspopup', 'true');
+    styleHeaderButton(exportButton);
+
+    const menu = document.createElement('div');
+    menu.className = 'lekker-chat-menu';
+    menu.hidden = true;
+
+    [['srt', 'SRT'], ['vtt', 'WebVTT'], ['ass', 'ASS (met kleuren)']].forEach(([format, label]) => {
+        const option = document.createElement('button');
+        option.textContent = label;
+        option.addEventListener('click', () => {
+            menu.hidden = true;
+            exportChatSubtitles(format);
+        });
+        menu.appendChild(option);
+    });
+
+    exportButton.addEventListener('click', () => {
+        menu.hidden = !menu.hidden;
+    });
+
+    wrapper.appendChild(exportButton);
+    wrapper.appendChild(menu);
+    return wrapper;
+}
+
+/**
+ * Format a video time as h:mm:ss or m:ss
+ * @param {number} seconds - Video time in seconds
+ * @returns {string} Timestamp
+ */
+function formatVideoTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total / 60) % 60;
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Check whether a comment matches a search query
+ * @param {Object} comment - Comment from the timeline
+ * @param {string} query - Lowercase search query
+ * @param {string} mode - 'text', 'author', 'emote' or 'badge'
+ * @returns {boolean} Whether the comment matches
+ */
+function commentMatchesSearch(comment, query, mode) {
+    const author = chatData.commenters[comment.commenter];
+
+    switch (mode) {
+        case 'author':
+            return [author?.name, author?.display_name].some(name => String(name ?? '').toLowerCase().includes(query));
+
+        case 'emote':
+            return comment.message.split(/\s+/).some(word => word.toLowerCase() === query)
+                || (comment.fragments || []).some(fragment =>
+                    (fragment?.emoticon || fragment?.emote) && String(fragment.text ?? '').toLowerCase() === query);
+
+        case 'badge':
+            return (author?.badges || []).some(badge => String(badge._id).toLowerCase().includes(query));
+
+        default:
+            return comment.message.toLowerCase().includes(query);
+    }
+}
+
+/**
+ * Search all chat messages of the current video
+ * @param {string} query - Search query
+ * @param {string} mode - 'text', 'author', 'emote' or 'badge'
+ * @returns {Object} { total, results: [{ comment, videoTime }] } with at most SEARCH_MAX_RESULTS results
+ */
+function searchChat(query, mode) {
+    const normalized = query.trim().toLowerCase();
+    const results = [];
+    let total = 0;
+
+    if (!normalized || !chatTimeline) {
+        return { total: 0, results: results };
+    }
+
+    chatTimeline.comments.forEach(comment => {
+        if (!commentMatchesSearch(comment, normalized, mode)) return;
+
+        total++;
+        if (results.length < CONSTANTS.SEARCH_MAX_RESULTS) {
+            results.push({ comment: comment, videoTime: chatTimeToVideoTime(comment.content_offset_seconds) });
+        }
+    });
+
+    return { total: total, results: results };
+}
+
+/**
+ * Run the search from the search panel inputs and list the results
+ */
+function runChatSearch() {
+    if (!searchPanel) return;
+
+    const input = searchPanel.querySelector('.lekker-chat-search__input');
+    const mode = searchPanel.querySelector('.lekker-chat-search__mode').value;
+    const summary = searchPanel.querySelector('.lekker-chat-search__summary');
+    const list = searchPanel.querySelector('.lekker-chat-search__results');
+
+    const { total, results } = searchChat(input.value, mode);
+    list.textContent = '';
+
+    // Unchanged filters, like an unchecked box, leave the heatmap alone
+    const filterHeatmap = searchPanel.querySelector('.lekker-chat-search__heatmap input').checked;
+    setHeatmapFilter(filterHeatmap ? { query: input.value, mode: mode } : null);
+
+    if (!input.value.trim()) {
+        summary.textContent = '';
+        return;
+    }
+
+    summary.textContent = total > results.length
+        ? `${total} resultaten, eerste ${results.length} getoond`
+        : `${total} resultaten`;
+
+    results.forEach(({ comment, videoTime }) => {
+        const item = list.appendChild(document.createElement('li'));
+        const button = item.appendChild(document.createElement('button'));
+        button.className = 'lekker-chat-search__result';
+
+        // Messages from parts of the VOD that are not in this video cannot be jumped to
+        const inVideo = videoTime !== null && videoTime >= 0;
+        button.disabled = !inVideo;
+
+        const time = button.appendChild(document.createElement('span'));
+        time.className = 'lekker-chat-search__time';
+        time.textContent = inVideo ? formatVideoTime(videoTime) : '–';
+
+        const author = chatData.commenters[comment.commenter];
+        const name = button.appendChild(document.createElement('span'));
+        name.className = 'lekker-chat-search__author';
+        name.style.color = sanitizeColor(author?.color) || '#fff';
+        name.textContent = author?.display_name ?? '';
+
+        const message = button.appendChild(document.createElement('span'));
+        message.textContent = comment.message;
+
+        if (inVideo) {
+            button.addEventListener('click', () => {
+                if (video) {
+                    video.currentTime = videoTime;
+                }
+            });
+        }
+    });
+}
+
+/**
+ * Create the search panel shown between the header and the messages
+ * @returns {HTMLElement} Hidden search panel
+ */
+function createSearchPanel() {
+    searchPanel = document.createElement('div');
+    searchPanel.className = 'lekker-chat-search';
+    searchPanel.hidden = true;
+
+    const controls = searchPanel.appendChild(document.createElement('div'));
+    controls.className = 'lekker-chat-search__controls';
+
+    const input = controls.appendChild(document.createElement('input'));
+    input.type = 'search';
+    input.className = 'lekker-chat-search__input';
+    input.placeholder = 'Zoek in chat...';
+    input.setAttribute('aria-label', 'Zoek in chat');
+
+    const mode = controls.appendChild(document.createElement('select'));
+    mode.className = 'lekker-chat-search__mode';
+    mode.setAttribute('aria-label', 'Zoeken op');
+    [['text', 'Tekst'], ['author', 'Gebruiker'], ['emote', 'Emote'], ['badge', 'Badge']].forEach(([value, label]) => {
+        const option = mode.appendChild(document.createElement('option'));
+        option.value = value;
+        option.textContent = label;
+    });
+
+    const heatmapLabel = controls.appendChild(document.createElement('label'));
+    heatmapLabel.className = 'lekker-chat-search__heatmap';
+    heatmapLabel.title = 'Toon alleen deze zoekopdracht in de heatmap boven de tijdlijn';
+    const heatmapToggle = heatmapLabel.appendChild(document.createElement('input'));
+    heatmapToggle.type = 'checkbox';
+    heatmapLabel.appendChild(document.createTextNode('Heatmap'));
+    heatmapToggle.addEventListener('change', runChatSearch);
+
+    const summary = searchPanel.appendChild(document.createElement('div'));
+    summary.className = 'lekker-chat-search__summary';
+
+    const list = searchPanel.appendChild(document.createElement('ul'));
+    list.className = 'lekker-chat-search__results';
+
+    let searchTimer = null;
+    input.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(runChatSearch, CONSTANTS.SEARCH_DEBOUNCE);
+    });
+    mode.addEventListener('change', runChatSearch);
+
+    // Keep YouTube's keyboard shortcuts from reacting while typing
+    input.addEventListener('keydown', (event) => event.stopPropagation());
+
+    return searchPanel;
+}
+
+/**
+ * Show or hide the search panel
+ */
+function toggleSearchPanel() {
+    if (!searchPanel) return;
+
+    if (isChatCollapsed && searchPanel.hidden) {
+        toggleChatCollapse();
+    }
+
+    searchPanel.hidden = !searchPanel.hidden;
+    if (!searchPanel.hidden) {
+        searchPanel.querySelector('.lekker-chat-search__input').focus();
+    }
+}
+
+/**
+ * Count messages and emote messages per chat second
+ * Message text is only scanned here, once per chat or search filter; redraws
+ * for a new size or offset reuse the result.
+ * @param {Object|null} filter - { query, mode } to only count matching messages
+ * @returns {Object} { seconds, counts, emoteCounts } for the chat seconds with messages
+ */
+function countHeatmapSeconds(filter) {
+    const query = filter?.query.toLowerCase();
+    const seconds = [];
+    const counts = [];
+    const emoteCounts = [];
+
+    chatTimeline.buckets.forEach((comments, second) => {
+        let count = 0;
+        let emoteCount = 0;
+
+        comments.forEach(comment => {
+            if (query && !commentMatchesSearch(comment, query, filter.mode)) return;
+            count++;
+
+            const hasEmote = (comment.fragments || []).some(fragment => fragment?.emoticon || fragment?.emote)
+                || comment.message.split(/\s+/).some(word => findEmote(word));
+            if (hasEmote) {
+                emoteCount++;
+            }
+        });
+
+        if (count > 0) {
+            seconds.push(second);
+            counts.push(count);
+            emoteCounts.push(emoteCount);
+        }
+    });
+
+    return { seconds: seconds, counts: counts, emoteCounts: emoteCounts };
+}
+
+/**
+ * Count messages and emote messages per slice of the video
+ * @param {number} bucketCount - Number of slices
+ * @param {number} duration - Video duration in seconds
+ * @param {Object} secondCounts - Counts per chat second from countHeatmapSeconds
+ * @returns {Object} { counts, emoteCounts } as Float32Arrays
+ */
+function buildHeatmapBuckets(bucketCount, duration, secondCounts) {
+    const counts = new Float32Array(bucketCount);
+    const emoteCounts = new Float32Array(bucketCount);
+
+    secondCounts.seconds.forEach((second, idx) => {
+        const videoTime = chatTimeToVideoTime(second);
+        if (videoTime === null || videoTime < 0 || videoTime >= duration) return;
+
+        const bucket = Math.floor(videoTime / duration * bucketCount);
+        counts[bucket] += secondCounts.counts[idx];
+        emoteCounts[bucket] += secondCounts.emoteCounts[idx];
+    });
+
+    return { counts: counts, emoteCounts: emoteCounts };
+}
+
+/**
+ * Redraw the heatmap for the current offset, video duration and filter
+ */
+function updateHeatmap() {
+    if (!heatmap || !chatTimeline || !video) return;
+
+    const canvas = heatmap.canvas;
+    const width = canvas.clientWidth;
+    const duration = video.duration;
+    if (!width || !Number.isFinite(duration) || duration <= 0) return;
+
+    if (!heatmap.secondCounts) {
+        heatmap.secondCounts = countHeatmapSeconds(heatmap.filter);
+    }
+
+    // Resize ticks without a size change and refreshes without an offset change draw the same
+    const ratio = window.devicePixelRatio || 1;
+    const layout = {
+        width: width,
+        ratio: ratio,
+        duration: duration,
+        offset: offsetMap || getTimeOffset(),
+        secondCounts: heatmap.secondCounts
+    };
+    if (heatmap.layout && Object.keys(layout).every(key => heatmap.layout[key] === layout[key])) return;
+    heatmap.layout = layout;
+
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(CONSTANTS.HEATMAP_HEIGHT * ratio);
+
+    const bucketCount = Math.max(1, Math.floor(width / CONSTANTS.HEATMAP_BUCKET_WIDTH));
+    const { counts, emoteCounts } = buildHeatmapBuckets(bucketCount, duration, heatmap.secondCounts);
+    const max = counts.reduce((highest, count) => Math.max(highest, count), 0);
+
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (max === 0) return;
+
+    const barWidth = canvas.width / bucketCount;
+    counts.forEach((count, idx) => {
+        if (count === 0) return;
+
+        // Message density in purple, the part of it with emotes in yellow on top
+        const height = count / max * canvas.height;
+        context.fillStyle = 'rgba(145, 71, 255, 0.7)';
+        context.fillRect(idx * barWidth, canvas.height - height, barWidth, height);
+
+        const emoteHeight = emoteCounts[idx] / max * canvas.height;
+        context.fillStyle = 'rgba(255, 179, 26, 0.85)';
+        context.fillRect(idx * barWidth, canvas.height - emoteHeight, barWidth, emoteHeight);
+    });
+}
+
+/**
+ * Seek to the moment under the mouse when the heatmap is clicked
+ * @param {MouseEvent} event - The click event
+ */
+function handleHeatmapClick(event) {
+    event.stopPropagation();
+    if (!video || !Number.isFinite(video.duration)) return;
+
+    const rect = heatmap.canvas.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    video.currentTime = fraction * video.duration;
+}
+
+/**
+ * Draw the heatmap above YouTube's progress bar
+ */
+function attachHeatmap() {
+    const filter = heatmap?.filter ?? null;
+    removeHeatmap();
+
+    const progressBar = document.querySelector('.ytp-progress-bar');
+    if (!progressBar || !chatTimeline) return;
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'lekker-chat-heatmap';
+    canvas.style.height = `${CONSTANTS.HEATMAP_HEIGHT}px`;
+    canvas.title = 'Chatactiviteit (geel: emotes) - klik om te springen';
+    canvas.addEventListener('click', handleHeatmapClick);
+    // Keep YouTube from starting a scrub on the progress bar below
+    canvas.addEventListener('mousedown', (event) => event.stopPropagation());
+    progressBar.appendChild(canvas);
+
+    // The player resizes with theater mode, fullscreen and the window
+    const observer = new ResizeObserver(() => updateHeatmap());
+    observer.observe(progressBar);
+
+    heatmap = { canvas: canvas, observer: observer, filter: filter, secondCounts: null, layout: null };
+    updateHeatmap();
+}
+
+/**
+ * Remove the heatmap from the progress bar
+ */
+function removeHeatmap() {
+    if (!heatmap) return;
+
+    heatmap.observer.disconnect();
+    heatmap.canvas.remove();
+    heatmap = null;
+}
+
+/**
+ * Only count messages matching the search panel query in the heatmap
+ * @param {Object|null} filter - { query, mode }, or null for all messages
+ */
+function setHeatmapFilter(filter) {
+    if (!heatmap) return;
+
+    const query = filter?.query.trim();
+    const next = query ? { query: query, mode: filter.mode } : null;
+    if (next?.query === heatmap.filter?.query && next?.mode === heatmap.filter?.mode) return;
+
+    heatmap.filter = next;
+    heatmap.secondCounts = null;
+    updateHeatmap();
+}
+
+/**
+ * Name a chat spike after its most used emote, or else its most used word
+ * @param {Array<Object>} comments - Comments in the spike
+ * @returns {string} Label, e.g. "lekkerHYPE ×84"
+ */
+function labelHighlight(comments) {
+    const emotes = new Map();
+    const words = new Map();
+
+    comments.forEach(comment => {
+        // Count each emote or word once per message so one spammer does not decide the label
+        const seenEmotes = new Set((comment.fragments || [])
+            .filter(fragment => fragment?.emoticon || fragment?.emote)
+            .map(fragment => String(fragment.text)));
+        const seenWords = new Set();
+
+        comment.message.split(/\s+/).filter(Boolean).forEach(word => {
+            if (findEmote(word)) {
+                seenEmotes.add(word);
+                return;
+            }
+            const normalized = word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+            if (normalized.length >= 3 && !CONSTANTS.HIGHLIGHT_STOP_WORDS.includes(normalized)) {
+                seenWords.add(normalized);
+            }
+        });
+
+        seenEmotes.forEach(emote => emotes.set(emote, (emotes.get(emote) || 0) + 1));
+        seenWords.forEach(word => words.set(word, (words.get(word) || 0) + 1));
+    });
+
+    const top = (counts) => [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    const topEmote = top(emotes);
+    const topWord = top(words);
+
+    if (topEmote && (!topWord || topEmote[1] >= topWord[1] / 2)) {
+        return `${topEmote[0]} ×${topEmote[1]}`;
+    }
+    return topWord ? `"${topWord[0]}" ×${topWord[1]}` : `${comments.length} berichten`;
+}
+
+/**
+ * Find the busiest moments of the chat as chapters
+ * Bins are scored on message count plus a bonus for emote messages, compared to the
+ * median bin; the best bins at least HIGHLIGHT_MIN_GAP apart become highlights.
+ * @param {number} [count] - Maximum number of highlights
+ * @returns {Array<Object>} Highlights in video order: { time, label, score }
+ */
+function detectHighlights(count = CONSTANTS.HIGHLIGHT_COUNT) {
+    if (!chatTimeline || !video || !Number.isFinite(video.duration)) return [];
+
+    const binSeconds = CONSTANTS.HIGHLIGHT_BIN_SECONDS;
+    const bins = Array.from({ length: Math.ceil(video.duration / binSeconds) }, () => ({ score: 0, comments: [] }));
+
+    chatTimeline.comments.forEach(comment => {
+        const videoTime = chatTimeToVideoTime(comment.content_offset_seconds);
+        if (videoTime === null || videoTime < 0 || videoTime >= video.duration) return;
+
+        const bin = bins[Math.floor(videoTime / binSeconds)];
+        const hasEmote = (comment.fragments || []).some(fragment => fragment?.emoticon || fragment?.emote)
+            || comment.message.split(/\s+/).some(word => findEmote(word));
+        bin.score += 1 + (hasEmote ? CONSTANTS.HIGHLIGHT_EMOTE_WEIGHT : 0);
+        bin.comments.push(comment);
+    });
+
+    const scores = bins.map(bin => bin.score).sort((a, b) => a - b);
+    const median = scores[Math.floor(scores.length / 2)] || 0;
+
+    const highlights = [];
+    bins
+        .map((bin, idx) => ({ ...bin, start: idx * binSeconds }))
+        .filter(bin => bin.score > median * 2 && bin.comments.length > 0)
+        .sort((a, b) => b.score - a.score)
+        .forEach(bin => {
+            if (highlights.length >= count) return;
+            if (highlights.some(highlight => Math.abs(highlight.bin - bin.start) < CONSTANTS.HIGHLIGHT_MIN_GAP)) return;
+
+            highlights.push({
+                bin: bin.start,
+                time: Math.max(0, bin.start - CONSTANTS.HIGHLIGHT_LEAD_IN),
+                label: labelHighlight(bin.comments),
+                score: bin.score / (median + 1)
+            });
+        });
+
+    return highlights
+        .sort((a, b) => a.time - b.time)
+        .map(({ bin, ...highlight }) => highlight);
+}
+
+/**
+ * Build a YouTube chapter list from highlights
+ * YouTube needs the first chapter at 0:00 and chapters of at least 10 seconds.
+ * @param {Array<Object>} highlights - Highlights from detectHighlights
+ * @returns {string} One "m:ss Label" line per chapter
+ */
+function buildChapterText(highlights) {
+    const lines = ['0:00 Start'];
+    let lastTime = 0;
+
+    highlights.forEach(highlight => {
+        if (highlight.time - lastTime < 10) return;
+        lines.push(`${formatVideoTime(highlight.time)} ${highlight.label}`);
+        lastTime = highlight.time;
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Detect the highlights again and list them in the chapters panel
+ */
+function renderChapters() {
+    if (!chaptersPanel) return;
+
+    const list = chaptersPanel.querySelector('.lekker-chat-chapters__list');
+    const highlights = detectHighlights();
+    chaptersPanel.highlights = highlights;
+    list.textContent = '';
+
+    if (highlights.length === 0) {
+        const empty = list.appendChild(document.createElement('li'));
+        empty.className = 'lekker-chat-chapters__empty';
+        empty.textContent = 'Geen uitschieters in de chat gevonden';
+        return;
+    }
+
+    highlights.forEach(highlight => {
+        const button = list.appendChild(document.createElement('li')).appendChild(document.createElement('button'));
+        button.className = 'lekker-chat-chapters__item';
+
+        const time = button.appendChild(document.createElement('span'));
+        time.className = 'lekker-chat-chapters__time';
+        time.textContent = formatVideoTime(highlight.time);
+        button.appendChild(document.createTextNode(highlight.label));
+
+        button.addEventListener('click', () => {
+            if (video) {
+                video.currentTime = highlight.time;
+            }
+        });
+    });
+}
+
+/**
+ * Copy the highlights as YouTube chapters, downloading them when the clipboard is unavailable
+ */
+async function exportChapters() {
+    const text = buildChapterText(chaptersPanel?.highlights || []);
+
+    try {
+        await navigator.clipboard.writeText(text);
+        flashHeaderTitle('Hoofdstukken gekopieerd');
+    } catch (error) {
+        const videoId = new URLSearchParams(window.location.search).get("v");
+        downloadTextFile(text, `lekkerchat_${videoId}_chapters.txt`);
+    }
+}
+
+/**
+ * Create the highlight chapters panel shown between the header and the messages
+ * @returns {HTMLElement} Hidden chapters panel
+ */
+function createChaptersPanel() {
+    chaptersPanel = document.createElement('div');
+    chaptersPanel.className = 'lekker-chat-chapters';
+    chaptersPanel.hidden = true;
+
+    const controls = chaptersPanel.appendChild(document.createElement('div'));
+    controls.className = 'lekker-chat-chapters__controls';
+
+    const title = controls.appendChild(document.createElement('span'));
+    title.textContent = 'Hoogtepunten uit de chat';
+
+    const exportButton = controls.appendChild(document.createElement('button'));
+    exportButton.className = 'lekker-chat-chapters__export';
+    exportButton.textContent = 'Kopieer als hoofdstukken';
+    exportButton.addEventListener('click', exportChapters);
+
+    const list = chaptersPanel.appendChild(document.createElement('ul'));
+    list.className = 'lekker-chat-chapters__list';
+
+    return chaptersPanel;
+}
+
+/**
+ * Show or hide the chapters panel
+ */
+function toggleChaptersPanel() {
+    if (!chaptersPanel) return;
+
+    if (isChatCollapsed && chaptersPanel.hidden) {
+        toggleChatCollapse();
+    }
+
+    chaptersPanel.hidden = !chaptersPanel.hidden;
+    if (!chaptersPanel.hidden) {
+        renderChapters();
+    }
+}
+
+/**
+ * Create a header for the chat with collapse button
+ * @param {HTMLElement} chatContainer - The chat container element
+ */
+function createChatHeader(chatContainer) {
+    // Remove existing header if present
+    if (chatHeader && chatHeader.parentNode) {
+        chatHeader.remove();
+    }
+    
+    chatHeader = document.createElement('div');
+    chatHeader.className = 'lekker-chat-header';
     chatHeader.style.cssText = `
         display: flex;
         align-items: center;
@@ -317,35 +1928,79 @@ function createChatHeader(chatContainer) {
     `;
     
     const title = document.createElement('span');
+    title.className = 'lekker-chat-title';
     title.textContent = 'Lekker Chat';
     title.style.cssText = 'flex-grow: 1;';
     
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,.txt,.log';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) {
+            importChatFileFromHeader(fileInput.files[0]);
+        }
+        fileInput.value = '';
+    });
+
+    const searchButton = document.createElement('button');
+    searchButton.className = 'lekker-chat-search-toggle';
+    searchButton.textContent = '🔍';
+    searchButton.title = 'Zoeken in chat';
+    searchButton.setAttribute('aria-label', 'Search chat');
+    styleHeaderButton(searchButton);
+    searchButton.addEventListener('click', toggleSearchPanel);
+
+    const chaptersButton = document.createElement('button');
+    chaptersButton.className = 'lekker-chat-chapters-toggle';
+    chaptersButton.textContent = '⭐';
+    chaptersButton.title = 'Hoogtepunten uit de chat';
+    chaptersButton.setAttribute('aria-label', 'Chat highlights');
+    styleHeaderButton(chaptersButton);
+    chaptersButton.addEventListener('click', toggleChaptersPanel);
+
+    const importButton = document.createElement('button');
+    importButton.className = 'lekker-chat-import';
+    importButton.textContent = '📂';
+    importButton.title = 'Chatbestand importeren (of sleep een bestand hierheen)';
+    importButton.setAttribute('aria-label', 'Import chat file');
+    styleHeaderButton(importButton);
+    importButton.addEventListener('click', () => fileInput.click());
+
     const toggleButton = document.createElement('button');
     toggleButton.className = 'lekker-chat-toggle';
     toggleButton.textContent = isChatCollapsed ? '▼' : '▲';
     toggleButton.setAttribute('aria-label', isChatCollapsed ? 'Expand chat' : 'Collapse chat');
-    toggleButton.style.cssText = `
-        background: none;
-        border: none;
-        color: #efeff1;
-        cursor: pointer;
-        font-size: 16px;
-        padding: 4px 8px;
-        transition: background-color 0.2s;
-        border-radius: 4px;
-    `;
+    styleHeaderButton(toggleButton);
     
-    toggleButton.addEventListener('mouseenter', () => {
-        toggleButton.style.backgroundColor = '#2d2d2d';
+    toggleButton.addEventListener('click', toggleChatCollapse);
+
+    // Accept chat files dropped on the header
+    chatHeader.addEventListener('dragover', (event) => {
+        if (event.dataTransfer?.types.includes('Files')) {
+            event.preventDefault();
+            chatHeader.style.backgroundColor = '#2d2d2d';
+        }
     });
-    
-    toggleButton.addEventListener('mouseleave', () => {
-        toggleButton.style.backgroundColor = 'transparent';
+    chatHeader.addEventListener('dragleave', () => {
+        chatHeader.style.backgroundColor = '#18181b';
+    });
+    chatHeader.addEventListener('drop', (event) => {
+        event.preventDefault();
+        chatHeader.style.backgroundColor = '#18181b';
+        const file = event.dataTransfer?.files[0];
+        if (file) {
+            importChatFileFromHeader(file);
+        }
     });
-    
-    toggleButton.addEventListener('click', toggleChatCollapse);
     
     chatHeader.appendChild(title);
+    chatHeader.appendChild(createNudgeControls());
+    chatHeader.appendChild(searchButton);
+    chatHeader.appendChild(chaptersButton);
+    chatHeader.appendChild(fileInput);
+    chatHeader.appendChild(importButton);
+    chatHeader.appendChild(createExportMenu());
     chatHeader.appendChild(toggleButton);
     
     // Insert header at the beginning of the chat container
@@ -391,9 +2046,22 @@ function injectChat(chatContainer) {
             
             // Create header first
             createChatHeader(chatContainer);
+
+            // Tell the viewer when records were skipped
+            if (dataIssues.length > 0) {
+                dataNotice = chatContainer.appendChild(createDataNotice());
+            }
+
+            chatContainer.appendChild(createSearchPanel());
+            chatContainer.appendChild(createChaptersPanel());
             
             messageList = chatContainer.appendChild(document.createElement("ul"));
             messageList.className = "chat-message-list";
+            messageList.addEventListener('scroll', handleMessageListScroll, { passive: true });
+            messageList.addEventListener('scroll', hideMessageContextMenu, { passive: true });
+            messageList.addEventListener('click', handleMessageListClick);
+            messageList.addEventListener('contextmenu', handleMessageListContextMenu);
+            clearMessages();
             
             // Apply initial collapse state
             if (isChatCollapsed) {
@@ -417,7 +2085,7 @@ function injectChat(chatContainer) {
             console.log("Successfully injected Twitch chat interface!");
         } else {
             // Just clear existing messages
-            messageList.innerHTML = "";
+            clearMessages();
             console.log("Cleared existing Twitch chat interface");
         }
     } catch (error) {
@@ -540,27 +2208,154 @@ function createChatInContainer(container) {
 }
 
 /**
- * Wait for the video element to be available
- * @returns {Promise<HTMLVideoElement>} Promise that resolves with the video element
+ * Wait for the video element to be available
+ * @returns {Promise<HTMLVideoElement>} Promise that resolves with the video element
+ */
+function getVideoElement() {
+    return new Promise((resolve, reject) => {
+        let attempts = 0;
+        const maxAttempts = 60; // 30 seconds timeout
+
+        const checkInterval = setInterval(() => {
+            attempts++;
+            const videoElement = document.querySelector('video');
+
+            if (videoElement) {
+                clearInterval(checkInterval);
+                resolve(videoElement);
+            } else if (attempts >= maxAttempts) {
+                clearInterval(checkInterval);
+                reject(new Error('Video element not found after 30 seconds'));
+            }
+        }, CONSTANTS.VIDEO_CHECK_INTERVAL);
+    });
+}
+
+/**
+ * Build a timeline index over the chat comments
+ * Comments are sorted by chat time and grouped per whole second, so lookups
+ * don't have to scan the full comment array. Times in the index are chat
+ * (Twitch VOD) times; the video offset is applied at query time.
+ * @param {Array<Object>} comments - Comments from chat JSON
+ * @returns {Object} Timeline with sorted comments, their times and per-second buckets
+ */
+function buildChatTimeline(comments) {
+    const sorted = (comments || [])
+        .filter(comment => comment && Number.isFinite(comment.content_offset_seconds))
+        .sort((a, b) => a.content_offset_seconds - b.content_offset_seconds);
+
+    const times = new Float64Array(sorted.length);
+    const buckets = new Map();
+
+    sorted.forEach((comment, idx) => {
+        times[idx] = comment.content_offset_seconds;
+
+        const second = Math.floor(comment.content_offset_seconds);
+        let bucket = buckets.get(second);
+        if (!bucket) {
+            bucket = [];
+            buckets.set(second, bucket);
+        }
+        bucket.push(comment);
+    });
+
+    return { comments: sorted, times: times, buckets: buckets };
+}
+
+/**
+ * Find the index of the first comment at or after a chat time
+ * @param {number} chatTime - Chat time in seconds
+ * @returns {number} Index into chatTimeline.comments
+ */
+function timelineLowerBound(chatTime) {
+    const times = chatTimeline.times;
+    let low = 0;
+    let high = times.length;
+
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (times[mid] < chatTime) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+
+    return low;
+}
+
+/**
+ * Find the offset map segment that plays at a video time
+ * @param {number} videoTime - Video time in seconds
+ * @returns {Object|null} Segment, or null when no chat belongs to that part of the video
+ */
+function getOffsetSegment(videoTime) {
+    return offsetMap?.find(segment => videoTime >= segment.videoStart && videoTime < segment.videoEnd) || null;
+}
+
+/**
+ * Convert a video second to the matching chat second
+ * @param {number} videoSecond - Video time in seconds
+ * @returns {number|null} Chat time in seconds, or null outside the offset map
+ */
+function videoSecondToChatSecond(videoSecond) {
+    if (offsetMap && !getOffsetSegment(videoSecond)) return null;
+    return Math.floor(videoSecond - getTimeOffset(videoSecond));
+}
+
+/**
+ * Convert a chat time to the video time it is shown at
+ * @param {number} chatTime - Chat time in seconds
+ * @returns {number|null} Video time in seconds, or null when that part of the VOD was cut from the video
+ */
+function chatTimeToVideoTime(chatTime) {
+    if (!offsetMap) {
+        return chatTime + getTimeOffset();
+    }
+
+    const segment = offsetMap.find(segment =>
+        chatTime >= segment.vodStart && chatTime < segment.vodStart + segment.videoEnd - segment.videoStart);
+    return segment ? chatTime + segment.offset : null;
+}
+
+/**
+ * Get the comments shown during one video second
+ * @param {number} videoSecond - Video time in seconds
+ * @returns {Array<Object>} Comments for that second
+ */
+function getCommentsAtSecond(videoSecond) {
+    if (!chatTimeline) return [];
+
+    const chatSecond = videoSecondToChatSecond(videoSecond);
+    if (chatSecond === null) return [];
+
+    return (chatTimeline.buckets.get(chatSecond) || [])
+        .filter(comment => !offsetMap || chatTimeToVideoTime(comment.content_offset_seconds) !== null);
+}
+
+/**
+ * Get the comments shown between two video seconds (inclusive)
+ * With an offset map each segment is looked up separately, so chat from cut parts of the VOD is skipped.
+ * @param {number} fromSecond - Start video time in seconds
+ * @param {number} toSecond - End video time in seconds
+ * @returns {Array<Object>} Comments in chat order
  */
-function getVideoElement() {
-    return new Promise((resolve, reject) => {
-        let attempts = 0;
-        const maxAttempts = 60; // 30 seconds timeout
+function getCommentsBetween(fromSecond, toSecond) {
+    if (!chatTimeline || toSecond < fromSecond) return [];
 
-        const checkInterval = setInterval(() => {
-            attempts++;
-            const videoElement = document.querySelector('video');
+    if (!offsetMap) {
+        const startIdx = timelineLowerBound(videoSecondToChatSecond(fromSecond));
+        const endIdx = timelineLowerBound(videoSecondToChatSecond(toSecond) + 1);
+        return chatTimeline.comments.slice(startIdx, endIdx);
+    }
 
-            if (videoElement) {
-                clearInterval(checkInterval);
-                resolve(videoElement);
-            } else if (attempts >= maxAttempts) {
-                clearInterval(checkInterval);
-                reject(new Error('Video element not found after 30 seconds'));
-            }
-        }, CONSTANTS.VIDEO_CHECK_INTERVAL);
-    });
+    return offsetMap
+        .filter(segment => segment.videoStart <= toSecond && segment.videoEnd > fromSecond)
+        .flatMap(segment => {
+            const startIdx = timelineLowerBound(Math.max(fromSecond, segment.videoStart) - segment.offset);
+            const endIdx = timelineLowerBound(Math.min(toSecond + 1, segment.videoEnd) - segment.offset);
+            return chatTimeline.comments.slice(startIdx, endIdx);
+        });
 }
 
 /**
@@ -568,24 +2363,34 @@ function getVideoElement() {
  * @param {number} second - Current video time in seconds
  */
 function showPreviousMessages(second) {
-    if (!chatData?.comments) {
+    if (!chatTimeline) {
         console.warn('No chat data available for showing previous messages');
         return;
     }
 
     try {
-        const firstIdx = [...chatData.comments].reverse().findIndex(comment =>
-            (comment.content_offset_seconds + getTimeOffset()) < second
-        );
-        if (firstIdx !== -1) {
-            const startIdx = Math.max(0, firstIdx - CONSTANTS.PREVIOUS_MESSAGES_COUNT);
-            for (let i = startIdx; i < firstIdx; i++) {
-                const comment = chatData.comments[i];
-                if (comment && !shownMessages.has(comment)) {
-                    showMessage(comment);
-                }
+        const count = CONSTANTS.PREVIOUS_MESSAGES_COUNT;
+        let previous = [];
+
+        if (!offsetMap) {
+            const endIdx = timelineLowerBound(videoSecondToChatSecond(second));
+            previous = chatTimeline.comments.slice(Math.max(0, endIdx - count), endIdx);
+        } else {
+            // Walk back through the segments that already played
+            const played = offsetMap.filter(segment => segment.videoStart < second).reverse();
+            for (const segment of played) {
+                const startIdx = timelineLowerBound(segment.vodStart);
+                const endIdx = timelineLowerBound(Math.min(second, segment.videoEnd) - segment.offset);
+                previous = chatTimeline.comments
+                    .slice(Math.max(startIdx, endIdx - (count - previous.length)), endIdx)
+                    .concat(previous);
+                if (previous.length >= count) break;
             }
         }
+
+        previous
+            .filter(comment => !shownMessages.has(comment) && passesChatFilters(comment))
+            .forEach(comment => showMessage(comment));
     } catch (error) {
         console.error('Error showing previous messages:', error);
     }
@@ -597,18 +2402,15 @@ function showPreviousMessages(second) {
  * @param {number} to - End time in seconds
  */
 function showMissedMessages(from, to) {
-    if (!chatData?.comments) {
+    if (!chatTimeline) {
         console.warn('No chat data available for showing missed messages');
         return;
     }
 
     try {
-        for (let sec = from; sec <= to; sec++) {
-            const missedComments = chatData.comments.filter(comment =>
-                comment && (comment.content_offset_seconds + getTimeOffset()) === sec && !shownMessages.has(comment)
-            );
-            missedComments.forEach(comment => showMessage(comment));
-        }
+        getCommentsBetween(from, to)
+            .filter(comment => !shownMessages.has(comment) && passesChatFilters(comment))
+            .forEach(comment => showMessage(comment));
     } catch (error) {
         console.error('Error showing missed messages:', error);
     }
@@ -619,28 +2421,171 @@ function showMissedMessages(from, to) {
  * @param {number} currentSecond - Current video time in seconds
  */
 function showCurrentSecondMessages(currentSecond) {
-    if (!chatData?.comments) {
+    if (!chatTimeline) {
         return;
     }
 
     try {
-        const commentsThisSecond = chatData.comments.filter(comment =>
-            comment && (comment.content_offset_seconds + getTimeOffset()) === currentSecond && !shownMessages.has(comment)
-        );
+        const commentsThisSecond = getCommentsAtSecond(currentSecond)
+            .filter(comment => !shownMessages.has(comment) && passesChatFilters(comment));
         const count = commentsThisSecond.length;
 
-        if (count > 0) {
-            commentsThisSecond.forEach((comment, idx) => {
-                setTimeout(() => {
-                    showMessage(comment);
-                }, (idx * 1000) / count);
-            });
+        if (count === 0) return;
+
+        // Nothing advances while paused, so there is nothing to pace against
+        if (!video || video.paused) {
+            commentsThisSecond.forEach(comment => showMessage(comment));
+            return;
         }
+
+        // Spread the messages over what is left of this second in real time
+        const rate = video.playbackRate > 0 ? video.playbackRate : 1;
+        const remainingMs = Math.max(0, currentSecond + 1 - video.currentTime) * 1000 / rate;
+
+        commentsThisSecond.forEach((comment, idx) => {
+            const timerId = setTimeout(() => {
+                pendingMessageTimers.delete(timerId);
+                if (!shownMessages.has(comment)) {
+                    showMessage(comment);
+                }
+            }, (idx * remainingMs) / count);
+            pendingMessageTimers.set(timerId, comment);
+        });
     } catch (error) {
         console.error('Error showing current second messages:', error);
     }
 }
 
+/**
+ * Cancel the staggered release timers for the current second
+ * @param {boolean} flush - Show the messages that were still pending right away
+ */
+function cancelPendingMessages(flush) {
+    pendingMessageTimers.forEach((comment, timerId) => {
+        clearTimeout(timerId);
+        if (flush && !shownMessages.has(comment)) {
+            showMessage(comment);
+        }
+    });
+    pendingMessageTimers.clear();
+}
+
+/**
+ * Reschedule the pending messages of the current second at the new playback rate
+ */
+function handlePlaybackRateChange() {
+    if (!video) return;
+
+    if (pendingMessageTimers.size > 0) {
+        // Once the second has passed nothing picks them up again, so show them right away
+        const secondPassed = Math.floor(video.currentTime) !== lastSecond;
+        cancelPendingMessages(secondPassed);
+        if (!secondPassed) {
+            showCurrentSecondMessages(lastSecond);
+        }
+    }
+    syncChatToVideo();
+}
+
+/**
+ * Bring the chat up to date with the current video time
+ */
+function syncChatToVideo() {
+    if (!video) return;
+
+    const currentSecond = Math.floor(video.currentTime);
+    if (currentSecond !== lastSecond) {
+        // Large time jump - show previous messages for context
+        if (Math.abs(currentSecond - lastSecond) > CONSTANTS.SKIP_THRESHOLD) {
+            clearMessages();
+            showPreviousMessages(currentSecond);
+        }
+        // Small time jump - show missed messages
+        else if (Math.abs(currentSecond - lastSecond) > 1) {
+            const from = Math.min(lastSecond, currentSecond) + 1;
+            const to = Math.max(lastSecond, currentSecond);
+            showMissedMessages(from, to);
+        }
+
+        lastSecond = currentSecond;
+        showCurrentSecondMessages(currentSecond);
+    }
+}
+
+/**
+ * Sync every animation frame while the video plays
+ * timeupdate only fires a few times per second, so this catches second
+ * boundaries as soon as they are crossed.
+ */
+function startSyncLoop() {
+    if (syncFrameId !== null) return;
+
+    const step = () => {
+        syncChatToVideo();
+        syncFrameId = requestAnimationFrame(step);
+    };
+    syncFrameId = requestAnimationFrame(step);
+}
+
+/**
+ * Stop the per-frame sync loop
+ */
+function stopSyncLoop() {
+    if (syncFrameId !== null) {
+        cancelAnimationFrame(syncFrameId);
+        syncFrameId = null;
+    }
+}
+
+/**
+ * Drive chat synchronization from the video element's media events
+ * @param {HTMLVideoElement} videoElement - The YouTube video element
+ */
+function attachVideoSync(videoElement) {
+    detachVideoSync();
+    stopAutoSync();
+
+    const handlers = {
+        timeupdate: syncChatToVideo,
+        seeking: () => {
+            cancelPendingMessages(true);
+            syncChatToVideo();
+        },
+        seeked: syncChatToVideo,
+        ratechange: handlePlaybackRateChange,
+        durationchange: handleDurationChange,
+        play: startSyncLoop,
+        pause: () => {
+            stopSyncLoop();
+            cancelPendingMessages(true);
+            syncChatToVideo();
+        }
+    };
+
+    Object.entries(handlers).forEach(([event, handler]) => {
+        videoElement.addEventListener(event, handler);
+    });
+    videoSync = { element: videoElement, handlers: handlers };
+
+    syncChatToVideo();
+    if (!videoElement.paused) {
+        startSyncLoop();
+    }
+}
+
+/**
+ * Remove the media event listeners from the video element
+ */
+function detachVideoSync() {
+    stopSyncLoop();
+    if (!videoSync) return;
+
+    Object.entries(videoSync.handlers).forEach(([event, handler]) => {
+        videoSync.element.removeEventListener(event, handler);
+    });
+    videoSync = null;
+}
+
 /**
  * Handle video ready state and start synchronization
  */
@@ -648,119 +2593,454 @@ async function onVideoReady() {
     try {
         video = await getVideoElement();
 
-        if (videoInterval) {
-            clearInterval(videoInterval);
-            shownMessages.clear();
-            if (messageList) {
-                messageList.innerHTML = "";
+        if (videoSync) {
+            detachVideoSync();
+            clearMessages();
+        }
+
+        attachVideoSync(video);
+        attachHeatmap();
+
+        console.log('Video synchronization started');
+    } catch (error) {
+        console.error('Error setting up video synchronization:', error);
+    }
+}
+
+/**
+ * Initialize configuration system
+ */
+async function initConfig() {
+    try {
+        const settings = await browserAPI.storage.local.get({
+            enableSync: true,
+            environment: 'production',
+            chatFilters: DEFAULT_FILTERS,
+            chatHighlights: DEFAULT_HIGHLIGHTS
+        });
+
+        const { chatFilters, chatHighlights, ...rest } = settings;
+        config = rest;
+        chatFilter = compileChatFilters(chatFilters);
+        highlightRules = compileHighlightRules(chatHighlights);
+        
+        // Offsets are per video and picked once chat data is loaded, see applyVideoOffset
+        config.timeOffset = calculateSmartDefaultOffset();
+
+        // Older versions kept one global offset that community data overwrote, so it is not worth keeping
+        await browserAPI.storage.local.remove('timeOffset');
+        
+        console.log('Configuration loaded:', config);
+    } catch (error) {
+        console.error('Failed to load configuration:', error);
+        config = {
+            timeOffset: 900,
+            enableSync: true,
+            environment: 'production'
+        };
+        chatFilter = compileChatFilters(DEFAULT_FILTERS);
+        highlightRules = compileHighlightRules(DEFAULT_HIGHLIGHTS);
+    }
+}
+
+/**
+ * Calculate a smart default offset based on video duration and last chat message
+ * @returns {number} Calculated offset in seconds
+ */
+function calculateSmartDefaultOffset() {
+    // Fallback to 900 if we can't calculate
+    let fallbackOffset = 900;
+    
+    try {
+        // Get video duration
+        const videoElement = document.querySelector('video');
+        const videoDuration = videoElement?.duration;
+        
+        // Get last chat message timestamp
+        const lastChatTimestamp = chatData?.comments?.length > 0 
+            ? chatData.comments[chatData.comments.length - 1].content_offset_seconds 
+            : null;
+        
+        if (videoDuration && lastChatTimestamp && videoDuration > 0 && lastChatTimestamp > 0) {
+            // Calculate offset: video duration - last chat message time
+            const calculatedOffset = Math.floor(videoDuration - lastChatTimestamp);
+            
+            // Sanity check: offset should be reasonable (between -3600 and 3600 seconds = 1 hour)
+            if (calculatedOffset >= -3600 && calculatedOffset <= 3600) {
+                console.log(`Smart offset calculated: ${calculatedOffset}s (Video: ${videoDuration}s, Last chat: ${lastChatTimestamp}s)`);
+                return calculatedOffset;
+            } else {
+                console.log(`Calculated offset ${calculatedOffset}s seems unreasonable, using fallback`);
             }
         }
+    } catch (error) {
+        console.error('Error calculating smart default offset:', error);
+    }
+    
+    console.log(`Using fallback offset: ${fallbackOffset}s`);
+    return fallbackOffset;
+}
 
-        videoInterval = setInterval(() => {
-            if (!video || video.paused) return;
+/**
+ * Connect an analyser to the video's audio output
+ * The media element source can only be created once per element and takes
+ * over its output, so it is always routed on to the speakers.
+ * @returns {Promise<AnalyserNode>} Analyser for the video audio
+ */
+async function getAutoSyncAnalyser() {
+    if (autoSyncAudio && autoSyncAudio.element === video) {
+        return autoSyncAudio.analyser;
+    }
 
-            const currentSecond = Math.floor(video.currentTime);
-            if (currentSecond !== lastSecond) {
-                // Large time jump - show previous messages for context
-                if (Math.abs(currentSecond - lastSecond) > CONSTANTS.SKIP_THRESHOLD) {
-                    shownMessages.clear();
-                    if (messageList) {
-                        messageList.innerHTML = "";
-                    }
-                    showPreviousMessages(currentSecond);
-                }
-                // Small time jump - show missed messages
-                else if (Math.abs(currentSecond - lastSecond) > 1) {
-                    const from = Math.min(lastSecond, currentSecond) + 1;
-                    const to = Math.max(lastSecond, currentSecond);
-                    showMissedMessages(from, to);
-                }
+    const context = autoSyncAudio?.context || new AudioContext();
+    if (context.state === 'suspended') {
+        await context.resume();
+    }
+    if (context.state !== 'running') {
+        // A suspended graph would mute the video
+        throw new Error('Audio is blocked by the browser, click the video first');
+    }
+
+    const source = context.createMediaElementSource(video);
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 2048;
+    source.connect(analyser);
+    source.connect(context.destination);
+
+    autoSyncAudio = { context: context, element: video, analyser: analyser };
+    return analyser;
+}
+
+/**
+ * Start sampling video loudness to detect the chat offset
+ * Sampling only advances while the video plays.
+ */
+async function startAutoSync() {
+    if (!video || !chatTimeline) {
+        throw new Error('Chat is not active');
+    }
+
+    stopAutoSync();
+    const analyser = await getAutoSyncAnalyser();
+    const buffer = new Float32Array(analyser.fftSize);
+    const loudness = new Map(); // video second -> { sum, count }
+
+    autoSync = { state: 'sampling', loudness: loudness, timer: null };
+    autoSync.timer = setInterval(() => {
+        if (!video || video.paused || video.seeking) return;
+
+        analyser.getFloatTimeDomainData(buffer);
+        let sumSquares = 0;
+        for (let i = 0; i < buffer.length; i++) {
+            sumSquares += buffer[i] * buffer[i];
+        }
+
+        const second = Math.floor(video.currentTime);
+        const entry = loudness.get(second) || { sum: 0, count: 0 };
+        entry.sum += Math.sqrt(sumSquares / buffer.length);
+        entry.count++;
+        loudness.set(second, entry);
+
+        if (loudness.size >= CONSTANTS.AUTO_SYNC_SAMPLE_SECONDS) {
+            finishAutoSync();
+        }
+    }, CONSTANTS.AUTO_SYNC_SAMPLE_INTERVAL);
+
+    console.log('Auto sync sampling started');
+}
+
+/**
+ * Stop sampling without proposing an offset
+ */
+function stopAutoSync() {
+    if (autoSync.timer) {
+        clearInterval(autoSync.timer);
+    }
+    autoSync = { state: 'idle' };
+}
+
+/**
+ * Stop sampling and compute the proposed offset
+ */
+function finishAutoSync() {
+    clearInterval(autoSync.timer);
+
+    try {
+        const proposal = detectOffsetFromLoudness(autoSync.loudness);
+        autoSync = { state: 'done', proposal: proposal };
+        console.log(`Auto sync proposes offset ${proposal.offset}s (confidence ${proposal.confidence.toFixed(2)})`);
+    } catch (error) {
+        console.error('Auto sync failed:', error);
+        autoSync = { state: 'error', error: error.message };
+    }
+}
+
+/**
+ * Find the offset where chat activity best follows the video loudness
+ * For every candidate offset the loudness of each sampled video second is
+ * correlated with the number of chat messages in the reaction window right
+ * after it. Confidence combines the best correlation with how many standard
+ * deviations it stands above the other candidates.
+ * @param {Map<number, Object>} loudness - Summed RMS per video second
+ * @returns {Object} Proposed offset in seconds and a confidence between 0 and 1
+ */
+function detectOffsetFromLoudness(loudness) {
+    const seconds = [...loudness.keys()].sort((a, b) => a - b);
+    const levels = seconds.map(second => loudness.get(second).sum / loudness.get(second).count);
+
+    // Prefix sums of messages per chat second for O(1) window counts
+    const times = chatTimeline.times;
+    const lastChatSecond = Math.floor(times[times.length - 1]);
+    const prefix = new Int32Array(lastChatSecond + 2);
+    for (let i = 0; i < times.length; i++) {
+        if (times[i] >= 0) {
+            prefix[Math.floor(times[i]) + 1]++;
+        }
+    }
+    for (let i = 1; i < prefix.length; i++) {
+        prefix[i] += prefix[i - 1];
+    }
+    const countMessages = (from, to) => {
+        const start = Math.min(Math.max(from, 0), prefix.length - 1);
+        const end = Math.min(Math.max(to, 0), prefix.length - 1);
+        return prefix[end] - prefix[start];
+    };
+
+    const n = levels.length;
+    const levelMean = levels.reduce((total, level) => total + level, 0) / n;
+    const levelDeviation = Math.sqrt(levels.reduce((total, level) => total + (level - levelMean) ** 2, 0));
+    if (levelDeviation === 0) {
+        throw new Error('No audio detected');
+    }
+
+    // Every offset that lines the sampled seconds up with some chat
+    const minOffset = seconds[0] - lastChatSecond;
+    const maxOffset = seconds[n - 1];
+    const scores = new Float64Array(maxOffset - minOffset + 1);
+    const counts = new Float64Array(n);
+
+    for (let offset = minOffset; offset <= maxOffset; offset++) {
+        let countMean = 0;
+        for (let i = 0; i < n; i++) {
+            const chatSecond = seconds[i] - offset;
+            counts[i] = countMessages(chatSecond, chatSecond + CONSTANTS.AUTO_SYNC_REACTION_WINDOW);
+            countMean += counts[i];
+        }
+        countMean /= n;
+
+        let covariance = 0;
+        let countVariance = 0;
+        for (let i = 0; i < n; i++) {
+            covariance += (levels[i] - levelMean) * (counts[i] - countMean);
+            countVariance += (counts[i] - countMean) ** 2;
+        }
+
+        scores[offset - minOffset] = countVariance > 0 ? covariance / (levelDeviation * Math.sqrt(countVariance)) : 0;
+    }
+
+    let bestIdx = 0;
+    let scoreMean = 0;
+    for (let i = 0; i < scores.length; i++) {
+        if (scores[i] > scores[bestIdx]) bestIdx = i;
+        scoreMean += scores[i];
+    }
+    scoreMean /= scores.length;
+
+    let scoreVariance = 0;
+    for (let i = 0; i < scores.length; i++) {
+        scoreVariance += (scores[i] - scoreMean) ** 2;
+    }
+
+    const best = scores[bestIdx];
+    if (best <= 0) {
+        throw new Error('Chat activity does not match the audio');
+    }
+
+    // A peak 3 standard deviations up is barely distinct, 8 or more is clear
+    const peakScore = (best - scoreMean) / (Math.sqrt(scoreVariance / scores.length) || 1);
+    const distinctness = Math.min(1, Math.max(0, (peakScore - 3) / 5));
+
+    return {
+        offset: bestIdx + minOffset,
+        confidence: Math.min(1, best) * distinctness,
+        sampledSeconds: n
+    };
+}
+
+/**
+ * Apply the offset proposed by auto sync
+ * @returns {Promise<number>} The applied offset
+ */
+async function acceptAutoSyncOffset() {
+    if (autoSync.state !== 'done') {
+        throw new Error('No offset proposal available');
+    }
+
+    const offset = autoSync.proposal.offset;
+    await setCurrentOffset(offset);
+
+    autoSync = { state: 'idle' };
+    return offset;
+}
+
+/**
+ * Pick the offset for the current video by precedence
+ * A user override wins over the community suggestion from timedata.json,
+ * which wins over the smart default.
+ */
+function selectTimeOffset() {
+    offsetMap = null;
+    const userOffset = parseOffsetEntry(offsetState.user);
+
+    if (Array.isArray(userOffset)) {
+        // A shifted offset map, see shiftOffsetEntry
+        offsetState.source = 'user';
+        offsetMap = userOffset;
+        config.timeOffset = offsetMap[0].offset;
+    } else if (userOffset != null) {
+        // A single user offset replaces a suggested offset map
+        offsetState.source = 'user';
+        config.timeOffset = userOffset;
+    } else if (Array.isArray(offsetState.suggested)) {
+        offsetState.source = 'suggested';
+        offsetMap = offsetState.suggested;
+        config.timeOffset = offsetMap[0].offset;
+    } else if (offsetState.suggested != null) {
+        offsetState.source = 'suggested';
+        config.timeOffset = offsetState.suggested;
+    } else {
+        offsetState.source = 'smart';
+        config.timeOffset = offsetState.smart ?? calculateSmartDefaultOffset();
+    }
+
+    console.log(`Using ${offsetState.source} offset for ${offsetState.videoId}:`, config.timeOffset);
+}
+
+/**
+ * Load the stored user offset for a video and select the active offset
+ * Expects loadAndApplyOffsetData to have run for the same video.
+ * @param {string} videoId - YouTube video ID
+ */
+async function applyVideoOffset(videoId) {
+    const stored = await browserAPI.storage.local.get({ videoOffsets: {} });
+
+    offsetState.videoId = videoId;
+    offsetState.user = stored.videoOffsets?.[videoId] ?? null;
+    offsetState.smart = calculateSmartDefaultOffset();
+    selectTimeOffset();
+}
+
+/**
+ * Move the active offset by a number of seconds
+ * An offset map keeps its segments, each moved by the same amount.
+ * @param {number} delta - Seconds to add to the offset
+ * @returns {number|Array<Object>} Offset or segment list in timedata.json format
+ */
+function shiftOffsetEntry(delta) {
+    if (!offsetMap) {
+        return getTimeOffset() + delta;
+    }
+
+    return offsetMap.map(segment => {
+        const vodStart = segment.vodStart - delta;
+        return {
+            video: [segment.videoStart, segment.videoEnd],
+            vod: [vodStart, vodStart + segment.videoEnd - segment.videoStart]
+        };
+    });
+}
+
+/**
+ * Make the offset at the current video time the given value, keeping an offset map
+ * @param {number} offset - Offset in seconds for the part that plays now
+ */
+function setCurrentOffset(offset) {
+    return setVideoOffset(shiftOffsetEntry(offset - getTimeOffset()));
+}
+
+/**
+ * Store a user offset for the current video and resync the chat
+ * @param {number|Array<Object>} offset - Offset in seconds, or segments in timedata.json format
+ */
+async function setVideoOffset(offset) {
+    if (!offsetState.videoId) {
+        throw new Error('No video with chat open');
+    }
+
+    const stored = await browserAPI.storage.local.get({ videoOffsets: {} });
+    const videoOffsets = stored.videoOffsets || {};
+    videoOffsets[offsetState.videoId] = offset;
+    await browserAPI.storage.local.set({ videoOffsets: videoOffsets });
+
+    offsetState.user = offset;
+    selectTimeOffset();
+    refreshChatWithNewOffset();
+}
+
+/**
+ * Remove the user offset for the current video, falling back to the suggestion or smart default
+ */
+async function resetVideoOffset() {
+    if (!offsetState.videoId) {
+        throw new Error('No video with chat open');
+    }
 
-                lastSecond = currentSecond;
-                showCurrentSecondMessages(currentSecond);
-            }
-        }, CONSTANTS.UPDATE_INTERVAL);
+    const stored = await browserAPI.storage.local.get({ videoOffsets: {} });
+    const videoOffsets = stored.videoOffsets || {};
+    delete videoOffsets[offsetState.videoId];
+    await browserAPI.storage.local.set({ videoOffsets: videoOffsets });
 
-        console.log('Video synchronization started');
-    } catch (error) {
-        console.error('Error setting up video synchronization:', error);
-    }
+    offsetState.user = null;
+    offsetState.smart = calculateSmartDefaultOffset();
+    selectTimeOffset();
+    refreshChatWithNewOffset();
 }
 
 /**
- * Initialize configuration system
+ * Get the active offset and its candidates for the popup
+ * @returns {Object} Offset info
  */
-async function initConfig() {
-    try {
-        const settings = await browserAPI.storage.local.get({
-            timeOffset: null,
-            enableSync: true,
-            autoScroll: true,
-            environment: 'production'
-        });
-
-        config = settings;
-        
-        // If timeOffset is null/undefined, calculate smart default
-        if (config.timeOffset == null) {
-            config.timeOffset = calculateSmartDefaultOffset();
-            console.log('No stored offset, using smart default:', config.timeOffset);
-        }
-        
-        console.log('Configuration loaded:', config);
-    } catch (error) {
-        console.error('Failed to load configuration:', error);
-        config = {
-            timeOffset: 900,
-            enableSync: true,
-            autoScroll: true,
-            environment: 'production'
-        };
-    }
+function getOffsetInfo() {
+    return {
+        videoId: offsetState.videoId,
+        vodId: ttvLink?.[offsetState.videoId] ?? null,
+        offset: getTimeOffset(),
+        source: offsetState.source,
+        user: offsetState.user,
+        suggested: Array.isArray(offsetState.suggested)
+            ? (getOffsetSegment(video?.currentTime ?? 0) || offsetState.suggested[0]).offset
+            : offsetState.suggested,
+        segments: offsetMap ? offsetMap.length : 0,
+        smart: offsetState.smart
+    };
 }
 
 /**
- * Calculate a smart default offset based on video duration and last chat message
- * @returns {number} Calculated offset in seconds
+ * Recalculate the smart default once the video duration is known
  */
-function calculateSmartDefaultOffset() {
-    // Fallback to 900 if we can't calculate
-    let fallbackOffset = 900;
-    
-    try {
-        // Get video duration
-        const videoElement = document.querySelector('video');
-        const videoDuration = videoElement?.duration;
-        
-        // Get last chat message timestamp
-        const lastChatTimestamp = chatData?.comments?.length > 0 
-            ? chatData.comments[chatData.comments.length - 1].content_offset_seconds 
-            : null;
-        
-        if (videoDuration && lastChatTimestamp && videoDuration > 0 && lastChatTimestamp > 0) {
-            // Calculate offset: video duration - last chat message time
-            const calculatedOffset = Math.floor(videoDuration - lastChatTimestamp);
-            
-            // Sanity check: offset should be reasonable (between -3600 and 3600 seconds = 1 hour)
-            if (calculatedOffset >= -3600 && calculatedOffset <= 3600) {
-                console.log(`Smart offset calculated: ${calculatedOffset}s (Video: ${videoDuration}s, Last chat: ${lastChatTimestamp}s)`);
-                return calculatedOffset;
-            } else {
-                console.log(`Calculated offset ${calculatedOffset}s seems unreasonable, using fallback`);
-            }
-        }
-    } catch (error) {
-        console.error('Error calculating smart default offset:', error);
+function handleDurationChange() {
+    offsetState.smart = calculateSmartDefaultOffset();
+    if (offsetState.source === 'smart' && offsetState.smart !== config.timeOffset) {
+        selectTimeOffset();
+        refreshChatWithNewOffset();
+    } else {
+        updateHeatmap();
     }
-    
-    console.log(`Using fallback offset: ${fallbackOffset}s`);
-    return fallbackOffset;
 }
 
 /**
  * Get current time offset
+ * With an offset map this is the offset of the segment playing at the given video time.
+ * @param {number} [videoTime] - Video time in seconds, defaults to the current video time
  */
-function getTimeOffset() {
+function getTimeOffset(videoTime = video?.currentTime ?? 0) {
+    if (offsetMap) {
+        const segment = getOffsetSegment(videoTime)
+            || offsetMap.filter(segment => segment.videoStart <= videoTime).pop()
+            || offsetMap[0];
+        return segment.offset;
+    }
+
     if (config?.timeOffset !== undefined) {
         return config.timeOffset;
     }
@@ -769,20 +3049,6 @@ function getTimeOffset() {
     return calculateSmartDefaultOffset();
 }
 
-/**
- * Get chat data URL based on environment
- */
-function getChatUrl(videoId) {
-    const environment = config?.environment || 'production';
-
-    if (environment === 'production') {
-        return `https://lekkerspeuren.nl/chats/chat_${videoId}.json`;
-    } else {
-        // Local development
-        return `http://127.0.0.1:3000/chat_${videoId}.json`;
-    }
-}
-
 /**
  * Check if the current video is a Lekker Spelen video
  */
@@ -795,6 +3061,10 @@ function isLekkerSpelen() {
         return true; // We have chat data for this video (either mapped or manually linked)
     }
 
+    if (videoId && importedChats[videoId]) {
+        return true; // Chat was imported from a file for this video
+    }
+
     // Check channel name for Lekker Spelen (more reliable than title)
     const channelElement = document.querySelector('#channel-name a, .ytd-channel-name a, ytd-video-owner-renderer a');
     const channelName = channelElement ? channelElement.textContent.toLowerCase().trim() : '';
@@ -813,6 +3083,260 @@ function isLekkerSpelen() {
     return isLekkerChannel;
 }
 
+/**
+ * Collect the YouTube video IDs of the playlist on the current page
+ * Works on playlist pages and on the playlist panel next to a watch page.
+ * @returns {Array<string>} Video IDs in playlist order
+ */
+function getPlaylistVideoIds() {
+    const links = document.querySelectorAll(
+        'ytd-playlist-video-renderer a#video-title, ytd-playlist-panel-video-renderer a#wc-endpoint'
+    );
+
+    const videoIds = [];
+    links.forEach(link => {
+        try {
+            const videoId = new URL(link.href, location.origin).searchParams.get('v');
+            if (videoId && !videoIds.includes(videoId)) {
+                videoIds.push(videoId);
+            }
+        } catch (error) {
+            console.warn('Invalid playlist link:', link.href);
+        }
+    });
+
+    return videoIds;
+}
+
+/**
+ * Keep the result of validating one data source for the popup and chat notice
+ * @param {string} source - Data source, e.g. 'chat' or 'image_ids.json'
+ * @param {Array<string>} errors - One error per skipped record
+ */
+function recordDataIssues(source, errors) {
+    dataIssues = dataIssues.filter(issue => issue.source !== source);
+    if (errors.length === 0) return;
+
+    console.warn(`Skipped ${errors.length} invalid records in ${source}:`, errors.slice(0, CONSTANTS.MAX_ISSUE_EXAMPLES));
+    dataIssues.push({
+        source: source,
+        skipped: errors.length,
+        examples: errors.slice(0, CONSTANTS.MAX_ISSUE_EXAMPLES)
+    });
+}
+
+/**
+ * Check one commenter from chat JSON
+ * @param {*} commenter - Commenter entry
+ * @returns {string|null} Error, or null when valid
+ */
+function validateCommenter(commenter) {
+    if (!commenter || typeof commenter !== 'object') return 'geen object';
+    if (typeof commenter.name !== 'string' || !commenter.name) return 'naam ontbreekt';
+    if (commenter.display_name != null && typeof commenter.display_name !== 'string') return 'ongeldige display_name';
+    return null;
+}
+
+/**
+ * Check one comment from chat JSON
+ * @param {*} comment - Comment entry
+ * @param {Object} commenters - Valid commenters by ID
+ * @returns {string|null} Error, or null when valid
+ */
+function validateComment(comment, commenters) {
+    if (!comment || typeof comment !== 'object') return 'geen object';
+    if (!commenters[comment.commenter]) return `onbekende commenter ${String(comment.commenter).slice(0, 40)}`;
+    if (typeof comment.message !== 'string') return 'tekst ontbreekt';
+    if (!Number.isFinite(comment.content_offset_seconds)) return 'ongeldige tijd';
+    if (comment.fragments != null && !Array.isArray(comment.fragments)) return 'ongeldige fragments';
+    return null;
+}
+
+/**
+ * Validate chat JSON, keeping only the valid commenters and comments
+ * Skipped records are reported through recordDataIssues.
+ * @param {*} data - Chat data from a provider or import
+ * @returns {Object} Chat data with invalid records removed
+ * @throws {Error} When the data has no comments list at all
+ */
+function validateChatData(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.comments)) {
+        throw new Error('Chatdata heeft geen comments-lijst');
+    }
+
+    const errors = [];
+    const commenters = {};
+    const rawCommenters = data.commenters && typeof data.commenters === 'object' ? data.commenters : {};
+
+    Object.entries(rawCommenters).forEach(([id, commenter]) => {
+        const error = validateCommenter(commenter);
+        if (error) {
+            errors.push(`commenter ${id.slice(0, 40)}: ${error}`);
+            return;
+        }
+        commenters[id] = {
+            ...commenter,
+            display_name: commenter.display_name || commenter.name,
+            badges: Array.isArray(commenter.badges)
+                ? commenter.badges.filter(badge => badge && badge._id != null && badge.version != null)
+                : []
+        };
+    });
+
+    const comments = data.comments.filter((comment, idx) => {
+        const error = validateComment(comment, commenters);
+        if (error) {
+            errors.push(`bericht ${idx}: ${error}`);
+        }
+        return !error;
+    });
+
+    recordDataIssues('chat', errors);
+    return { ...data, commenters: commenters, comments: comments };
+}
+
+/**
+ * Validate image_ids.json, keeping only emote and badge entries with usable IDs
+ * @param {*} data - Parsed image_ids.json
+ * @returns {Object} Image data with invalid entries removed
+ */
+function validateImageData(data) {
+    const errors = [];
+    const isId = (value) => (typeof value === 'string' || typeof value === 'number') && /^[\w-]+$/.test(String(value));
+    const result = { emoticons: {}, badges: {} };
+
+    if (!data || typeof data !== 'object') {
+        recordDataIssues('image_ids.json', ['bestand is geen object']);
+        return result;
+    }
+
+    Object.entries(data.emoticons || {}).forEach(([name, id]) => {
+        if (isId(id)) {
+            result.emoticons[name] = String(id);
+        } else {
+            errors.push(`emote ${name.slice(0, 40)}: ongeldig ID`);
+        }
+    });
+
+    // Badge versions are array indexes, so missing versions are empty or null
+    Object.entries(data.badges || {}).forEach(([badgeId, versions]) => {
+        if (Array.isArray(versions) && versions.every(version => version == null || version === '' || isId(version))) {
+            result.badges[badgeId] = versions;
+        } else {
+            errors.push(`badge ${badgeId.slice(0, 40)}: ongeldige versies`);
+        }
+    });
+
+    recordDataIssues('image_ids.json', errors);
+    return result;
+}
+
+/**
+ * Validate yt-ttv.json, keeping only YouTube video ID -> Twitch VOD ID pairs
+ * @param {*} data - Parsed yt-ttv.json
+ * @returns {Object} Mapping with invalid entries removed
+ */
+function validateVideoMapping(data) {
+    const errors = [];
+    const mapping = {};
+
+    if (!data || typeof data !== 'object') {
+        recordDataIssues('yt-ttv.json', ['bestand is geen object']);
+        return mapping;
+    }
+
+    Object.entries(data).forEach(([youtubeId, vodId]) => {
+        if (!/^[\w-]{11}$/.test(youtubeId)) {
+            errors.push(`${youtubeId.slice(0, 40)}: ongeldig YouTube ID`);
+        } else if (!/^\d+$/.test(String(vodId))) {
+            errors.push(`${youtubeId}: ongeldig Twitch VOD ID`);
+        } else {
+            mapping[youtubeId] = String(vodId);
+        }
+    });
+
+    recordDataIssues('yt-ttv.json', errors);
+    return mapping;
+}
+
+/**
+ * Describe the data problems in one line for the chat panel
+ * @returns {string} Summary, e.g. "12 berichten overgeslagen"
+ */
+function summarizeDataIssues() {
+    return dataIssues.map(issue => issue.source === 'chat'
+        ? `${issue.skipped} chatregels overgeslagen`
+        : `${issue.skipped} items in ${issue.source} overgeslagen`
+    ).join(', ');
+}
+
+/**
+ * Create the notice shown above the chat when data was skipped
+ * @returns {HTMLElement} Notice element
+ */
+function createDataNotice() {
+    const notice = document.createElement('div');
+    notice.className = 'lekker-chat-notice';
+    notice.setAttribute('role', 'status');
+    notice.title = dataIssues.flatMap(issue => issue.examples.map(example => `${issue.source}: ${example}`)).join('\n');
+
+    const text = notice.appendChild(document.createElement('span'));
+    text.textContent = `Chatdata onvolledig: ${summarizeDataIssues()}`;
+
+    const closeButton = notice.appendChild(document.createElement('button'));
+    closeButton.textContent = '✕';
+    closeButton.setAttribute('aria-label', 'Melding sluiten');
+    closeButton.addEventListener('click', () => notice.remove());
+
+    return notice;
+}
+
+/**
+ * Import a chat file for the current YouTube video and start syncing it
+ * The file goes into the same import store as files imported in the popup, under
+ * the linked Twitch VOD ID, or a placeholder ID for videos without a VOD.
+ * @param {string} text - File contents
+ * @param {string} fileName - Original file name
+ */
+async function importChatFile(text, fileName) {
+    const videoId = new URLSearchParams(window.location.search).get("v");
+    if (!videoId) {
+        throw new Error('No YouTube video open');
+    }
+
+    const vodId = ttvLink?.[videoId] || `youtube-${videoId}`;
+    const response = await chrome.runtime.sendMessage({
+        action: 'importChatFiles',
+        files: [{ vodId: vodId, name: fileName, text: text }]
+    });
+    if (!response.success) {
+        throw new Error(response.error);
+    }
+
+    const { format, messageCount } = response.imports[0];
+    const stored = await browserAPI.storage.local.get({ importedChats: {} });
+    const storedImports = stored.importedChats || {};
+    storedImports[videoId] = {
+        name: fileName,
+        vodId: vodId,
+        format: format,
+        messageCount: messageCount,
+        importedAt: Date.now()
+    };
+    await browserAPI.storage.local.set({ importedChats: storedImports });
+    importedChats = storedImports;
+    console.log(`Imported ${messageCount} ${format} messages for ${videoId} from ${fileName}`);
+
+    if (isManualLinkMode && pendingVideoId === videoId) {
+        isManualLinkMode = false;
+        pendingVideoId = null;
+    }
+
+    // Start over like resetChat, so messages of the previous chat don't mix in
+    cleanup();
+    await init();
+}
+
 /**
  * Handle messages from popup and other parts of extension
  */
@@ -821,15 +3345,21 @@ function handleMessage(request, sender, sendResponse) {
 
     switch (request.action) {
         case 'updateSettings':
-            const oldOffset = config?.timeOffset;
-            config = { ...config, ...request.settings };
+            // Offsets are stored per video via setVideoOffset
+            const { timeOffset, ...settings } = request.settings || {};
+            config = { ...config, ...settings };
             console.log('Settings updated:', config);
 
-            // If offset changed and chat is active, refresh the chat display
-            if (oldOffset !== config.timeOffset && isActive && video) {
-                refreshChatWithNewOffset();
-            }
+            sendResponse({ success: true });
+            break;
+
+        case 'updateFilters':
+            applyChatFilters(request.filters);
+            sendResponse({ success: true });
+            break;
 
+        case 'updateHighlights':
+            applyHighlightRules(request.highlights);
             sendResponse({ success: true });
             break;
 
@@ -851,6 +3381,7 @@ function handleMessage(request, sender, sendResponse) {
                 isLekkerSpelen: lekkerSpelen,
                 isManualLinkMode: isManualLinkMode,
                 pendingVideoId: pendingVideoId,
+                dataIssues: dataIssues,
                 config: config
             });
             break;
@@ -924,6 +3455,13 @@ function handleMessage(request, sender, sendResponse) {
                         
                         // Clean up and restore YouTube chat
                         cleanup();
+
+                        // The current video is unlinked again, so allow relinking it
+                        const currentVideoId = new URLSearchParams(window.location.search).get("v");
+                        if (currentVideoId === videoIdToRemove) {
+                            isManualLinkMode = true;
+                            pendingVideoId = videoIdToRemove;
+                        }
                         
                         sendResponse({ success: true, message: 'Manual link removed successfully' });
                     } else {
@@ -936,18 +3474,96 @@ function handleMessage(request, sender, sendResponse) {
             
             return true; // Async response
 
-        case 'getCurrentTime':
-            if (video) {
-                sendResponse({ currentTime: video.currentTime });
-            } else {
-                sendResponse({ error: 'No video element found' });
-            }
+        case 'startAutoSync':
+            startAutoSync()
+                .then(() => sendResponse({ success: true }))
+                .catch(error => {
+                    autoSync = { state: 'error', error: error.message };
+                    sendResponse({ success: false, error: error.message });
+                });
+            return true; // Async response
+
+        case 'getAutoSyncStatus':
+            sendResponse({
+                state: autoSync.state,
+                progress: autoSync.state === 'sampling' ?
+                    autoSync.loudness.size / CONSTANTS.AUTO_SYNC_SAMPLE_SECONDS : null,
+                proposal: autoSync.proposal || null,
+                error: autoSync.error || null
+            });
+            break;
+
+        case 'acceptAutoSyncOffset':
+            acceptAutoSyncOffset()
+                .then(offset => sendResponse({ success: true, offset: offset }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true; // Async response
+
+        case 'cancelAutoSync':
+            stopAutoSync();
+            sendResponse({ success: true });
+            break;
+
+        case 'getOffsetInfo':
+            sendResponse(getOffsetInfo());
             break;
 
+        case 'setVideoOffset':
+            setCurrentOffset(request.offset)
+                .then(() => sendResponse({ success: true, ...getOffsetInfo() }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true; // Async response
+
+        case 'resetVideoOffset':
+            resetVideoOffset()
+                .then(() => sendResponse({ success: true, ...getOffsetInfo() }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true; // Async response
+
+        case 'nudgeOffset':
+            nudgeOffset(request.delta)
+                .then(offset => sendResponse({ success: offset !== null, offset: offset }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true; // Async response
+
         case 'checkLekkerSpelen':
             sendResponse({ isLekkerSpelen: isLekkerSpelen() });
             break;
 
+        case 'importChatFile':
+            importChatFile(request.text, request.fileName)
+                .then(() => sendResponse({ success: true, messageCount: importedChats[new URLSearchParams(window.location.search).get("v")]?.messageCount || 0 }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true; // Async response
+
+        case 'removeImportedChat':
+            (async () => {
+                try {
+                    const videoIdToClear = request.youtubeVideoId;
+                    const stored = await browserAPI.storage.local.get({ importedChats: {} });
+                    const storedImports = stored.importedChats || {};
+                    const removed = storedImports[videoIdToClear];
+                    delete storedImports[videoIdToClear];
+                    await browserAPI.storage.local.set({ importedChats: storedImports });
+                    importedChats = storedImports;
+                    if (removed?.vodId) {
+                        await chrome.runtime.sendMessage({ action: 'deleteImportedChat', vodId: removed.vodId });
+                    }
+
+                    // Fall back to the linked Twitch VOD, or restore YouTube chat
+                    cleanup();
+                    await init();
+                    sendResponse({ success: true });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true; // Async response
+
+        case 'getPlaylistVideoIds':
+            sendResponse({ videoIds: getPlaylistVideoIds() });
+            break;
+
         default:
             sendResponse({ error: 'Unknown action' });
     }
@@ -960,13 +3576,12 @@ function handleMessage(request, sender, sendResponse) {
  * Refresh chat display when offset changes
  */
 function refreshChatWithNewOffset() {
-    if (!video || !chatData || !messageList) return;
+    if (!video || !chatTimeline || !messageList) return;
 
     console.log('Refreshing chat with new offset:', getTimeOffset());
 
     // Clear current messages
-    shownMessages.clear();
-    messageList.innerHTML = "";
+    clearMessages();
 
     // Reset last second to force recalculation
     lastSecond = -1;
@@ -974,48 +3589,133 @@ function refreshChatWithNewOffset() {
     // Show appropriate messages for current video time
     const currentSecond = Math.floor(video.currentTime);
     showPreviousMessages(currentSecond);
+
+    // Result timestamps, chapters and the heatmap depend on the offset
+    if (searchPanel && !searchPanel.hidden) {
+        runChatSearch();
+    }
+    if (chaptersPanel && !chaptersPanel.hidden) {
+        renderChapters();
+    }
+    updateHeatmap();
 }
 
 /**
- * Load offset data from GitHub and apply to config
+ * Parse a timedata.json entry into a constant offset or an offset map
+ * An entry is either a number of seconds, or a list of segments for uploads that
+ * cut parts of the VOD or continue it across several videos:
+ *   [{ "video": [0, 5400], "vod": [900, 6300] }, { "video": [5400, 9000], "vod": [7200, 10800] }]
+ * Each segment maps a video time range to a VOD (chat) time range of the same length;
+ * segments whose ranges differ in length are rejected.
+ * @param {*} entry - Entry from timedata.json
+ * @returns {number|Array<Object>|null} Offset in seconds, sorted segments, or null if invalid
  */
-async function loadAndApplyOffsetData(videoId) {
-    try {
-        console.log('Loading offset data from GitHub for video:', videoId);
+function parseOffsetEntry(entry) {
+    if (typeof entry === 'number') {
+        return Number.isFinite(entry) ? entry : null;
+    }
 
-        const response = await fetch('https://raw.githubusercontent.com/hbo-nerds/lekker-chat/master/data/timedata.json', {
-            method: 'GET',
-            headers: {
-                'Accept': 'application/json'
-            }
+    if (!Array.isArray(entry)) {
+        return null;
+    }
+
+    // Both ranges must be the same length, otherwise the segment is not a plain cut
+    const segments = entry
+        .filter(segment => Array.isArray(segment?.video) && Array.isArray(segment?.vod)
+            && segment.video.length === 2 && segment.vod.length === 2
+            && segment.video.every(Number.isFinite) && segment.vod.every(Number.isFinite)
+            && segment.video[1] > segment.video[0]
+            && segment.vod[1] - segment.vod[0] === segment.video[1] - segment.video[0])
+        .map(segment => ({
+            videoStart: segment.video[0],
+            videoEnd: segment.video[1],
+            vodStart: segment.vod[0],
+            offset: segment.video[0] - segment.vod[0]
+        }))
+        .sort((a, b) => a.videoStart - b.videoStart);
+
+    if (segments.length !== entry.length) {
+        console.warn('Ignoring invalid segments in offset map:', entry);
+    }
+
+    return segments.length > 0 ? segments : null;
+}
+
+/**
+ * Get the date the chat was recorded
+ * Uses the date from the chat file when present, otherwise the YouTube upload date.
+ * @returns {string|null} Date as YYYY-MM-DD
+ */
+function getChatDate() {
+    const candidates = [
+        chatData?.video?.created_at,
+        chatData?.created_at,
+        chatData?.comments?.[0]?.created_at,
+        document.querySelector('meta[itemprop="uploadDate"], meta[itemprop="datePublished"]')?.content
+    ];
+
+    for (const candidate of candidates) {
+        const time = Date.parse(candidate);
+        if (Number.isFinite(time)) {
+            return new Date(time).toISOString().slice(0, 10);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Load the BTTV/FFZ/7TV emotes that existed when the chat was recorded
+ * Chat still renders with Twitch emotes only when this fails.
+ */
+async function loadThirdPartyEmotes() {
+    thirdPartyEmotes = null;
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'getEmoteSet',
+            date: getChatDate(),
+            twitchId: chatData?.streamer?.id ?? chatData?.comments?.[0]?.channel_id ?? null
         });
 
-        if (response.ok) {
-            const offsetData = await response.json();
-            console.log('Successfully loaded offset data from GitHub');
+        if (response.success) {
+            thirdPartyEmotes = response.emotes;
+            console.log(`Loaded ${Object.keys(response.emotes).length} third-party emotes from snapshot ${response.snapshotDate}`);
+        } else {
+            console.log('Could not load third-party emotes:', response.error);
+        }
+    } catch (error) {
+        console.log('Could not load third-party emotes:', error.message);
+    }
+}
+
+/**
+ * Load the community offset suggestion for a video from the offset providers
+ */
+async function loadAndApplyOffsetData(videoId) {
+    offsetState.suggested = null;
 
-            if (offsetData && offsetData[videoId]) {
-                const suggestedOffset = offsetData[videoId];
-                console.log('Found suggested offset for this video:', suggestedOffset, 'seconds');
+    try {
+        console.log('Loading offset data for video:', videoId);
 
-                // Update config with suggested offset
-                if (!config) {
-                    await initConfig();
-                }
-                config.timeOffset = suggestedOffset;
+        const response = await chrome.runtime.sendMessage({ action: 'fetchOffsetData' });
 
-                // Also save to storage so popup shows the correct value
-                await browserAPI.storage.local.set({ timeOffset: suggestedOffset });
+        if (response.success) {
+            const offsetData = response.data;
+            console.log('Successfully loaded offset data from provider:', response.provider);
 
-                console.log('Applied suggested offset:', suggestedOffset);
+            if (offsetData && offsetData[videoId] != null) {
+                const suggestedOffset = parseOffsetEntry(offsetData[videoId]);
+                console.log('Found suggested offset for this video:', suggestedOffset);
+                offsetState.suggested = suggestedOffset;
             } else {
                 console.log('No offset data found for this video');
             }
         } else {
-            console.log('GitHub offset data returned status:', response.status);
+            console.log('Could not load offset data:', response.error);
         }
     } catch (error) {
-        console.log('Could not load offset data from GitHub:', error.message);
+        console.log('Could not load offset data:', error.message);
     }
 }
 
@@ -1025,6 +3725,8 @@ async function loadAndApplyOffsetData(videoId) {
 const init = async () => {
     try {
         console.log('Initializing Twitch chat sync...');
+        recordDataIssues('chat', []);
+        recordDataIssues('init', []);
 
         // Initialize config first if not already done
         if (!config) {
@@ -1037,21 +3739,28 @@ const init = async () => {
             if (!ttvLinkResponse.ok) {
                 throw new Error('Failed to load video mapping data');
             }
-            ttvLink = await ttvLinkResponse.json();
+            ttvLink = validateVideoMapping(await ttvLinkResponse.json());
         }
 
-        // Check for manual links in storage
-        const stored = await browserAPI.storage.local.get({ manualLinks: {} });
+        // Check for manual links and imported chat files in storage
+        const stored = await browserAPI.storage.local.get({ manualLinks: {}, importedChats: {} });
         if (stored.manualLinks) {
             // Merge manual links into ttvLink
             ttvLink = { ...ttvLink, ...stored.manualLinks };
             console.log('Loaded manual links from storage');
         }
+        importedChats = stored.importedChats || {};
 
         // Get current YouTube video ID
         const urlParams = new URLSearchParams(window.location.search);
         const videoId = urlParams.get("v");
 
+        // Playlist and other non-watch pages have nothing to sync
+        if (!videoId) {
+            isActive = false;
+            return;
+        }
+
         // Check if it's a Lekker Spelen video (now ttvLink is loaded)
         const lekkerSpelen = isLekkerSpelen();
         console.log('Is Lekker Spelen video:', lekkerSpelen);
@@ -1062,7 +3771,10 @@ const init = async () => {
             return;
         }
 
-        if (!videoId || !ttvLink[videoId]) {
+        // Imports from before the shared import store have no VOD ID and no stored chat left
+        const importedChat = importedChats[videoId]?.vodId ? importedChats[videoId] : null;
+
+        if (!ttvLink[videoId] && !importedChat) {
             console.log(`No Twitch chat data available for video ID: ${videoId || 'none'}`);
             
             // Enable manual link mode
@@ -1075,9 +3787,15 @@ const init = async () => {
             return;
         }
 
-        console.log(`Found mapping for video ${videoId} -> Twitch ${ttvLink[videoId]}`);
+        // Imports are stored under the VOD linked at import time, or a placeholder ID for videos without one
+        const vodId = importedChat ? importedChat.vodId : ttvLink[videoId];
+        if (importedChat) {
+            console.log(`Using imported chat file for video ${videoId}: ${importedChat.name}`);
+        } else {
+            console.log(`Found mapping for video ${videoId} -> Twitch ${vodId}`);
+        }
 
-        // Load offset data from GitHub and apply if found
+        // Load the community offset suggestion for this video
         await loadAndApplyOffsetData(videoId);
 
         // Load image/emote data if not already loaded
@@ -1086,23 +3804,32 @@ const init = async () => {
             if (!imageResponse.ok) {
                 throw new Error('Failed to load image data');
             }
-            imageData = await imageResponse.json();
+            imageData = validateImageData(await imageResponse.json());
         }
 
-        // Load chat data via background script (to bypass CORS)
-        const chatUrl = getChatUrl(ttvLink[videoId]);
-        console.log('Fetching chat data from:', chatUrl);
-        
+        // Load chat data via background script (to bypass CORS and try each provider)
+        console.log('Fetching chat data for Twitch VOD:', vodId);
+
         const chatResponse = await chrome.runtime.sendMessage({
             action: 'fetchChatData',
-            url: chatUrl
+            vodId: vodId,
+            imported: !!importedChat,
+            preferStored: true
         });
-        
+
         if (!chatResponse.success) {
-            throw new Error(`Failed to load chat data from ${chatUrl}: ${chatResponse.error}`);
+            throw new Error(`Failed to load chat data for VOD ${vodId}: ${chatResponse.error}`);
         }
-        
-        chatData = chatResponse.data;
+
+        console.log('Chat data provided by:', chatResponse.provider);
+        if (chatResponse.fromCache) {
+            console.log('Using cached chat data for VOD', vodId);
+        }
+
+        chatData = validateChatData(chatResponse.data);
+        chatTimeline = buildChatTimeline(chatData?.comments);
+        await applyVideoOffset(videoId);
+        await loadThirdPartyEmotes();
 
         console.log(`Loaded chat data with ${chatData.comments?.length || 0} messages`);
 
@@ -1124,6 +3851,7 @@ const init = async () => {
     } catch (error) {
         console.error('Failed to initialize Twitch chat sync:', error);
         console.error('Error stack:', error.stack);
+        recordDataIssues('init', [error.message]);
         isActive = false;
     }
 };
@@ -1137,9 +3865,8 @@ const init = async () => {
 function cleanup() {
     console.log('Cleaning up extension state...');
     
-    if (shownMessages) {
-        shownMessages.clear();
-    }
+    clearMessages();
+    recycledMessageNodes = [];
 
     // Remove the active class
     const chatContainerParent = document.querySelector("#chat-container");
@@ -1170,19 +3897,28 @@ function cleanup() {
         chatHeader.remove();
         chatHeader = null;
     }
+    // The custom #chat container is reused across navigation, so panels must go with the messages
+    searchPanel?.remove();
+    searchPanel = null;
+    chaptersPanel?.remove();
+    chaptersPanel = null;
+    dataNotice?.remove();
+    dataNotice = null;
+    hideMessageContextMenu();
+    removeHeatmap();
     
     // Reset collapse state
     isChatCollapsed = false;
 
-    if (videoInterval) {
-        clearInterval(videoInterval);
-        videoInterval = null;
-    }
+    detachVideoSync();
 
     lastSecond = -1;
     video = null;
     isActive = false;
     chatData = null;
+    chatTimeline = null;
+    offsetMap = null;
+    thirdPartyEmotes = null;
     
     // Don't reset manual link mode during cleanup
     // It should persist until a link is provided or page changes
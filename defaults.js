@@ -0,0 +1,24 @@
+/**
+ * Chat settings defaults shared by the content script and the popup
+ */
+
+// Message filters as stored under chatFilters, edited in the popup
+const DEFAULT_FILTERS = {
+    mutedUsers: [],
+    hideBots: false,
+    bots: ['nightbot', 'streamelements', 'streamlabs', 'moobot', 'fossabot', 'wizebot', 'sery_bot'],
+    hideCommands: false,
+    keywords: [], // Regular expressions, matched case-insensitively
+    minBadge: 'none', // 'none', 'subscriber', 'vip' or 'moderator'
+    messageType: 'all' // 'all', 'emotes' (emote-only messages) or 'text' (messages without emotes)
+};
+
+// Highlight rules as stored under chatHighlights, edited in the popup
+const DEFAULT_HIGHLIGHTS = {
+    badges: true, // Broadcaster, moderator and VIP messages
+    mentions: true,
+    members: ['joost', 'kees'], // Lekker Spelen members whose mentions stand out
+    username: '', // The viewer's own Twitch name, also counts as a mention
+    keywords: [], // Regular expressions, matched case-insensitively
+    highlightsOnly: false
+};
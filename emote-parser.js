@@ -0,0 +1,45 @@
+/**
+ * Third-party emote parsing shared by the background script and scripts/update-emotes.js
+ * Bundled and cached snapshots come out of the same parser, so they always match.
+ */
+
+// BetterTTV has no zero-width flag, these global emotes are drawn over the previous one
+const BTTV_ZERO_WIDTH = ['SoSnowy', 'IceCold', 'SantaHat', 'TopHat', 'ReinDeer', 'CandyCane', 'cvMask', 'cvHazmat'];
+
+/**
+ * Convert an emote API response into name -> emote entries
+ * @param {string} service - '7tv', 'bttv' or 'ffz'
+ * @param {Object} data - Parsed API response, channel or global
+ * @returns {Object} Emotes by name, each { provider, id, zeroWidth }
+ */
+function parseEmoteResponse(service, data) {
+    const emotes = {};
+    const add = (name, id, zeroWidth) => {
+        if (name && id && !emotes[name]) {
+            emotes[name] = { provider: service, id: String(id), zeroWidth: !!zeroWidth };
+        }
+    };
+
+    if (service === '7tv') {
+        // Channel responses wrap the active set, global responses are the set itself
+        const emoteSet = data?.emote_set || data;
+        (emoteSet?.emotes || []).forEach(emote => {
+            // Zero-width is flag 1 on the set entry or flag 256 on the emote itself
+            add(emote.name, emote.id, (emote.flags & 1) || (emote.data?.flags & 256));
+        });
+    } else if (service === 'bttv') {
+        const list = Array.isArray(data) ? data : [...(data?.channelEmotes || []), ...(data?.sharedEmotes || [])];
+        list.forEach(emote => add(emote.code, emote.id, BTTV_ZERO_WIDTH.includes(emote.code)));
+    } else if (service === 'ffz') {
+        Object.values(data?.sets || {}).forEach(set => {
+            (set.emoticons || []).forEach(emote => add(emote.name, emote.id, emote.modifier));
+        });
+    }
+
+    return emotes;
+}
+
+// Node scripts require this file, the extension loads it as a plain script
+if (typeof module !== 'undefined') {
+    module.exports = { BTTV_ZERO_WIDTH, parseEmoteResponse };
+}
@@ -45,7 +45,8 @@ const browserAPI = (() => {
                             }
                         });
                     })
-                }
+                },
+                onChanged: chrome.storage.onChanged
             },
             tabs: {
                 query: (queryInfo) => new Promise((resolve, reject) => {
@@ -66,13 +67,58 @@ const browserAPI = (() => {
                         }
                     });
                 }),
+                get: (tabId) => new Promise((resolve, reject) => {
+                    chrome.tabs.get(tabId, (tab) => {
+                        if (chrome.runtime.lastError) {
+                            reject(chrome.runtime.lastError);
+                        } else {
+                            resolve(tab);
+                        }
+                    });
+                }),
                 create: (createProperties) => chrome.tabs.create(createProperties)
+            },
+            commands: {
+                getAll: () => new Promise((resolve) => {
+                    if (!chrome.commands) {
+                        resolve([]);
+                        return;
+                    }
+                    chrome.commands.getAll((commands) => resolve(commands || []));
+                })
+            },
+            runtime: {
+                sendMessage: (message) => new Promise((resolve, reject) => {
+                    chrome.runtime.sendMessage(message, (response) => {
+                        if (chrome.runtime.lastError) {
+                            reject(chrome.runtime.lastError);
+                        } else {
+                            resolve(response);
+                        }
+                    });
+                }),
+                getManifest: () => chrome.runtime.getManifest(),
+                getURL: (path) => chrome.runtime.getURL(path)
+            },
+            permissions: {
+                request: (permissions) => new Promise((resolve, reject) => {
+                    chrome.permissions.request(permissions, (granted) => {
+                        if (chrome.runtime.lastError) {
+                            reject(chrome.runtime.lastError);
+                        } else {
+                            resolve(granted);
+                        }
+                    });
+                })
             }
         };
     } else if (isFirefox) {
         return {
             storage: browser.storage,
-            tabs: browser.tabs
+            tabs: browser.tabs,
+            runtime: browser.runtime,
+            commands: browser.commands,
+            permissions: browser.permissions
         };
     } else {
         // Fallback for testing
@@ -82,12 +128,27 @@ const browserAPI = (() => {
                 local: {
                     get: async () => ({}),
                     set: async () => ({})
+                },
+                onChanged: {
+                    addListener: () => { }
                 }
             },
             tabs: {
                 query: async () => [],
                 sendMessage: async () => ({}),
+                get: async () => null,
                 create: () => { }
+            },
+            runtime: {
+                sendMessage: async () => ({}),
+                getManifest: () => ({ version: 'dev' }),
+                getURL: (path) => path
+            },
+            commands: {
+                getAll: async () => []
+            },
+            permissions: {
+                request: async () => true
             }
         };
     }
@@ -95,9 +156,7 @@ const browserAPI = (() => {
 
 // Default settings
 const DEFAULT_SETTINGS = {
-    timeOffset: 900, // 15 minutes default
     enableSync: true,
-    autoScroll: true,
     environment: 'production'
 };
 
@@ -118,9 +177,78 @@ function mmssToSeconds(mmss) {
     return isNegative ? -totalSeconds : totalSeconds;
 }
 
+/**
+ * Extract a Twitch VOD ID from a bare ID or a twitch.tv/videos URL
+ * @param {string} input - User input
+ * @returns {string|null} VOD ID, or null if the input is not valid
+ */
+function parseTwitchVodId(input) {
+    const value = input.trim();
+    if (/^\d+$/.test(value)) {
+        return value;
+    }
+
+    const match = value.match(/^(?:https?:\/\/)?(?:www\.|m\.)?twitch\.tv\/videos\/(\d+)(?:[/?#].*)?$/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * Extract a YouTube video ID from a bare ID or a watch/youtu.be URL
+ * @param {string} input - User input
+ * @returns {string|null} Video ID, or null if the input is not valid
+ */
+function parseYouTubeVideoId(input) {
+    const value = input.trim();
+    if (/^[\w-]{11}$/.test(value)) {
+        return value;
+    }
+
+    try {
+        const parsed = new URL(value.includes('://') ? value : `https://${value}`);
+        if (parsed.hostname === 'youtu.be') {
+            const videoId = parsed.pathname.slice(1);
+            return /^[\w-]{11}$/.test(videoId) ? videoId : null;
+        }
+        return getYouTubeVideoId(parsed.href);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the YouTube video ID from a tab URL
+ * @param {string} url - Tab URL
+ * @returns {string|null} Video ID, or null if not a watch page
+ */
+function getYouTubeVideoId(url) {
+    try {
+        const parsed = new URL(url);
+        if (!parsed.hostname.endsWith('youtube.com') || parsed.pathname !== '/watch') {
+            return null;
+        }
+        return parsed.searchParams.get('v');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 // DOM elements
 let elements = {};
 
+// Data providers in fallback order, as returned by the background script
+let providers = [];
+
 /**
  * Initialize the popup
  */
@@ -137,12 +265,32 @@ document.addEventListener('DOMContentLoaded', async () => {
     await loadSettings();
     console.log('Settings loaded');
 
+    await loadFilters();
+
+    await loadHighlights();
+
+    await renderOffsetShortcuts();
+
+    await renderManualLinks();
+    console.log('Manual links rendered');
+
+    await updateCacheUsage();
+    console.log('Cache usage loaded');
+
+    await renderOfflineQueue();
+    console.log('Offline queue rendered');
+
+    await loadProviders();
+    console.log('Providers loaded');
+
     setupEventListeners();
     console.log('Event listeners setup');
 
     await updateStatus();
     console.log('Status updated');
 
+    await updateAutoSyncStatus();
+
     console.log('Popup initialization complete');
 });
 
@@ -153,9 +301,50 @@ function initializeElements() {
     elements = {
         statusIndicator: document.getElementById('statusIndicator'),
         statusText: document.getElementById('statusText'),
+        dataIssues: document.getElementById('dataIssues'),
         timeOffset: document.getElementById('timeOffset'),
-        setCurrentTime: document.getElementById('setCurrentTime'),
-        reportIssue: document.getElementById('reportIssue')
+        offsetSource: document.getElementById('offsetSource'),
+        resetOffset: document.getElementById('resetOffset'),
+        shareOffset: document.getElementById('shareOffset'),
+        offsetShortcuts: document.getElementById('offsetShortcuts'),
+        editShortcuts: document.getElementById('editShortcuts'),
+        reportIssue: document.getElementById('reportIssue'),
+        autoSyncStatus: document.getElementById('autoSyncStatus'),
+        startAutoSync: document.getElementById('startAutoSync'),
+        acceptAutoSync: document.getElementById('acceptAutoSync'),
+        manualLinkSection: document.getElementById('manualLinkSection'),
+        twitchVodInput: document.getElementById('twitchVodInput'),
+        linkTwitchVod: document.getElementById('linkTwitchVod'),
+        importVideoChat: document.getElementById('importVideoChat'),
+        videoChatFileInput: document.getElementById('videoChatFileInput'),
+        manualLinkList: document.getElementById('manualLinkList'),
+        noManualLinks: document.getElementById('noManualLinks'),
+        offlineVideoInput: document.getElementById('offlineVideoInput'),
+        queueOfflineVideos: document.getElementById('queueOfflineVideos'),
+        queuePlaylist: document.getElementById('queuePlaylist'),
+        offlineProgress: document.getElementById('offlineProgress'),
+        offlineQueueList: document.getElementById('offlineQueueList'),
+        providerList: document.getElementById('providerList'),
+        mirrorUrlInput: document.getElementById('mirrorUrlInput'),
+        addMirror: document.getElementById('addMirror'),
+        importChatFiles: document.getElementById('importChatFiles'),
+        checkProviders: document.getElementById('checkProviders'),
+        chatFileInput: document.getElementById('chatFileInput'),
+        filterHideCommands: document.getElementById('filterHideCommands'),
+        filterHideBots: document.getElementById('filterHideBots'),
+        filterBots: document.getElementById('filterBots'),
+        filterMutedUsers: document.getElementById('filterMutedUsers'),
+        filterKeywords: document.getElementById('filterKeywords'),
+        filterMinBadge: document.getElementById('filterMinBadge'),
+        filterMessageType: document.getElementById('filterMessageType'),
+        highlightBadges: document.getElementById('highlightBadges'),
+        highlightMentions: document.getElementById('highlightMentions'),
+        highlightMembers: document.getElementById('highlightMembers'),
+        highlightUsername: document.getElementById('highlightUsername'),
+        highlightKeywords: document.getElementById('highlightKeywords'),
+        highlightsOnly: document.getElementById('highlightsOnly'),
+        cacheUsage: document.getElementById('cacheUsage'),
+        clearCache: document.getElementById('clearCache')
     };
 }
 
@@ -166,7 +355,14 @@ async function loadSettings() {
     try {
         const result = await browserAPI.storage.local.get(DEFAULT_SETTINGS);
 
-        elements.timeOffset.value = secondsToMMSS(result.timeOffset);
+        // The active video decides the offset, see renderOffsetInfo
+        let offsetInfo = null;
+        try {
+            offsetInfo = await sendToActiveTab({ action: 'getOffsetInfo' });
+        } catch (error) {
+            console.log('Content script not available (normal if not on YouTube)');
+        }
+        renderOffsetInfo(offsetInfo);
 
         console.log('Settings loaded:', result);
     } catch (error) {
@@ -190,22 +386,30 @@ async function saveSettings() {
         }
 
         const settings = {
-            timeOffset: timeOffsetSeconds,
             enableSync: true,
-            autoScroll: true,
             environment: 'production'
         };
 
         await browserAPI.storage.local.set(settings);
 
-        // Send message to content script to update settings
+        // Send message to content script to update settings and the offset of this video
         try {
-            const tabs = await browserAPI.tabs.query({ active: true, currentWindow: true });
-            if (tabs[0]) {
-                await browserAPI.tabs.sendMessage(tabs[0].id, {
+            const tab = await getActiveTab();
+            if (tab) {
+                await browserAPI.tabs.sendMessage(tab.id, {
                     action: 'updateSettings',
                     settings: settings
                 });
+
+                const response = await browserAPI.tabs.sendMessage(tab.id, {
+                    action: 'setVideoOffset',
+                    offset: timeOffsetSeconds
+                });
+                if (response && !response.success) {
+                    showMessage('Open een video met chat om de offset op te slaan', 'error');
+                    return;
+                }
+                renderOffsetInfo(response);
             }
         } catch (error) {
             console.log('Content script not available (normal if not on YouTube)');
@@ -223,41 +427,1063 @@ async function saveSettings() {
  * Setup event listeners
  */
 function setupEventListeners() {
-    // Set current time button
-    elements.setCurrentTime.addEventListener('click', setCurrentVideoTime);
+    // Reset per-video offset
+    elements.resetOffset.addEventListener('click', resetVideoOffset);
+
+    // Share the offset with the community
+    elements.shareOffset.addEventListener('click', shareOffset);
+
+    // Offset keyboard shortcuts
+    elements.editShortcuts.addEventListener('click', openShortcutSettings);
 
     // Report issue button
-    elements.reportIssue.addEventListener('click', reportIssue);
+    elements.reportIssue.addEventListener('click', () => reportIssue());
+
+    // Automatic offset detection
+    elements.startAutoSync.addEventListener('click', toggleAutoSync);
+    elements.acceptAutoSync.addEventListener('click', acceptAutoSync);
+
+    // Manual Twitch VOD link
+    elements.linkTwitchVod.addEventListener('click', linkTwitchVod);
+    elements.twitchVodInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            linkTwitchVod();
+        }
+    });
+
+    // Chat cache
+    elements.clearCache.addEventListener('click', clearChatCache);
+
+    // Offline downloads
+    elements.queueOfflineVideos.addEventListener('click', queueOfflineVideos);
+    elements.queuePlaylist.addEventListener('click', queuePlaylist);
+    browserAPI.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.offlineQueue) {
+            renderOfflineQueue(changes.offlineQueue.newValue || []);
+            updateCacheUsage();
+        }
+        if (areaName === 'local' && changes.providerHealth) {
+            renderProviders(changes.providerHealth.newValue || {});
+        }
+    });
+
+    // Data providers
+    elements.addMirror.addEventListener('click', addMirror);
+    elements.importChatFiles.addEventListener('click', () => openFilePicker(elements.chatFileInput));
+    elements.chatFileInput.addEventListener('change', importChatFiles);
+    elements.checkProviders.addEventListener('click', checkProviders);
+
+    // Chat file import for the current video
+    elements.importVideoChat.addEventListener('click', () => openFilePicker(elements.videoChatFileInput));
+    elements.videoChatFileInput.addEventListener('change', importVideoChatFile);
+
+    // Message filters apply as soon as they change
+    [elements.filterHideCommands, elements.filterHideBots, elements.filterMinBadge, elements.filterMessageType]
+        .forEach(input => input.addEventListener('change', saveFilters));
+    [elements.filterBots, elements.filterMutedUsers, elements.filterKeywords]
+        .forEach(input => input.addEventListener('input', debounce(saveFilters, 500)));
+
+    // Highlight rules apply as soon as they change
+    [elements.highlightBadges, elements.highlightMentions, elements.highlightsOnly]
+        .forEach(input => input.addEventListener('change', saveHighlights));
+    [elements.highlightMembers, elements.highlightUsername, elements.highlightKeywords]
+        .forEach(input => input.addEventListener('input', debounce(saveHighlights, 500)));
 
     // Auto-save on input changes
     elements.timeOffset.addEventListener('change', saveSettings);
     elements.timeOffset.addEventListener('input', debounce(saveSettings, 500)); // Debounced for live updates
 }
 
+// Labels for where the active offset comes from
+const OFFSET_SOURCE_LABELS = {
+    user: 'Eigen instelling voor deze video',
+    suggested: 'Community suggestie voor deze video',
+    smart: 'Automatisch berekend op basis van videolengte'
+};
+
+/**
+ * Show the active offset and its source for the current video
+ * @param {Object|null} info - Offset info from the content script
+ */
+function renderOffsetInfo(info) {
+    if (!info || !info.videoId) {
+        elements.offsetSource.textContent = 'Offset wordt per video onthouden';
+        elements.resetOffset.classList.add('hidden');
+        elements.shareOffset.classList.add('hidden');
+        return;
+    }
+
+    // Only offsets the user settled on are new to the community data
+    elements.shareOffset.classList.toggle('hidden', info.source !== 'user');
+
+    elements.timeOffset.value = secondsToMMSS(info.offset);
+    elements.offsetSource.textContent = info.segments > 1
+        ? `${info.source === 'user' ? 'Aangepaste' : 'Community'} offset-map in ${info.segments} delen, huidig deel`
+        : OFFSET_SOURCE_LABELS[info.source] || '';
+    elements.resetOffset.classList.toggle('hidden', info.source !== 'user');
+    elements.resetOffset.textContent = info.suggested != null
+        ? `Reset naar suggestie (${secondsToMMSS(info.suggested)})`
+        : 'Reset naar standaard';
+}
+
+/**
+ * List the keyboard shortcuts for nudging the offset
+ */
+async function renderOffsetShortcuts() {
+    try {
+        const commands = await browserAPI.commands.getAll();
+        const bound = commands.filter(command => command.name?.startsWith('offset-') && command.shortcut);
+
+        elements.offsetShortcuts.textContent = bound.length > 0
+            ? bound.map(command => `${command.shortcut}: ${command.description}`).join(' · ')
+            : 'Geen sneltoetsen ingesteld';
+    } catch (error) {
+        console.error('Failed to load shortcuts:', error);
+    }
+}
+
+/**
+ * Open the browser page for changing extension shortcuts
+ */
+async function openShortcutSettings() {
+    if (typeof browser !== 'undefined' && browser.commands?.openShortcutSettings) {
+        await browser.commands.openShortcutSettings();
+    } else if (typeof browser !== 'undefined') {
+        showMessage('Ga naar about:addons → Sneltoetsen beheren', 'success');
+    } else {
+        browserAPI.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    }
+}
+
+/**
+ * Share the offset of the current video as a timedata.json entry
+ * Copies the entry to the clipboard and opens a prefilled GitHub issue.
+ */
+async function shareOffset() {
+    try {
+        const info = await sendToActiveTab({ action: 'getOffsetInfo' });
+        if (!info || !info.videoId) {
+            showMessage('Open een video met chat om de offset te delen', 'error');
+            return;
+        }
+
+        // A shifted offset map is shared as a whole
+        const entry = `"${info.videoId}": ${Array.isArray(info.user) ? JSON.stringify(info.user) : info.offset}`;
+        const version = browserAPI.runtime.getManifest().version;
+        const body = [
+            '**Offset voorstel**',
+            '',
+            `- YouTube video: https://www.youtube.com/watch?v=${info.videoId}`,
+            `- Twitch VOD: ${info.vodId ? `https://www.twitch.tv/videos/${info.vodId}` : 'onbekend (eigen chatbestand)'}`,
+            `- Offset: ${info.offset} seconden (${secondsToMMSS(info.offset)})`,
+            `- Extensie versie: ${version}`,
+            '',
+            'Toevoegen aan `data/timedata.json`:',
+            '```json',
+            entry,
+            '```'
+        ].join('\n');
+
+        try {
+            await navigator.clipboard.writeText(entry);
+        } catch (error) {
+            console.log('Clipboard not available:', error);
+        }
+
+        reportIssue({ title: `Offset voor ${info.videoId}: ${secondsToMMSS(info.offset)}`, body: body });
+        showMessage('Offset gekopieerd, issue wordt geopend', 'success');
+    } catch (error) {
+        console.error('Failed to share offset:', error);
+        showMessage('Kan offset niet delen', 'error');
+    }
+}
+
+/**
+ * Remove the offset override for the current video
+ */
+async function resetVideoOffset() {
+    try {
+        const response = await sendToActiveTab({ action: 'resetVideoOffset' });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from content script');
+        }
+
+        renderOffsetInfo(response);
+        showMessage('Offset teruggezet', 'success');
+    } catch (error) {
+        console.error('Failed to reset offset:', error);
+        showMessage('Kan offset niet terugzetten', 'error');
+    }
+}
+
+// YouTube tab the popup was opened in a tab for, see openFilePicker
+const targetTabId = Number(new URLSearchParams(window.location.search).get('tab')) || null;
+
+/**
+ * Get the tab the popup works on
+ * @returns {Promise<Object|null>} The active tab, or the YouTube tab when the popup runs in its own tab
+ */
+async function getActiveTab() {
+    if (targetTabId !== null) {
+        return browserAPI.tabs.get(targetTabId).catch(() => null);
+    }
+    const tabs = await browserAPI.tabs.query({ active: true, currentWindow: true });
+    return tabs[0] || null;
+}
+
+/**
+ * Send a message to the content script in the active tab
+ * @param {Object} message - Message to send
+ * @returns {Promise<Object|null>} Response, or null without an active tab
+ */
+async function sendToActiveTab(message) {
+    const tab = await getActiveTab();
+    if (!tab) return null;
+    return browserAPI.tabs.sendMessage(tab.id, message);
+}
+
 /**
- * Set offset to current video time
+ * Open a file picker
+ * Firefox closes the popup as soon as the file dialog opens, so the picked file
+ * never arrives. There the popup opens in its own tab first, still working on
+ * the current YouTube tab, and the file is picked from that tab.
+ * @param {HTMLInputElement} input - File input to open
  */
-async function setCurrentVideoTime() {
+async function openFilePicker(input) {
+    if (typeof browser === 'undefined' || targetTabId !== null) {
+        input.click();
+        return;
+    }
+
+    const tab = await getActiveTab();
+    await browserAPI.tabs.create({ url: browserAPI.runtime.getURL(`popup/popup.html?tab=${tab?.id ?? ''}`) });
+    window.close();
+}
+
+/**
+ * Ask for access to the host of a provider URL
+ * Hosts outside the manifest are optional permissions, granted per provider.
+ * Must run directly from a click, before any other await.
+ * @param {string} url - Provider URL, may contain placeholders
+ * @returns {Promise<boolean>} Whether access was granted
+ */
+async function requestHostAccess(url) {
+    let parsed;
     try {
-        const tabs = await browserAPI.tabs.query({ active: true, currentWindow: true });
-        if (tabs[0]) {
-            const response = await browserAPI.tabs.sendMessage(tabs[0].id, {
-                action: 'getCurrentTime'
+        parsed = new URL(url.replace('{vodId}', '0').replace('{twitchId}', '0'));
+    } catch (error) {
+        return false;
+    }
+
+    try {
+        // Match patterns have no port, so this covers e.g. a local server on any port
+        return await browserAPI.permissions.request({ origins: [`${parsed.protocol}//${parsed.hostname}/*`] });
+    } catch (error) {
+        console.error('Failed to request host permission:', error);
+        return false;
+    }
+}
+
+/**
+ * Split a textarea into its non-empty lines
+ * @param {HTMLTextAreaElement} textarea - Textarea with one entry per line
+ * @returns {Array<string>} Trimmed lines
+ */
+function readLines(textarea) {
+    return textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Find the first pattern that is not a valid regular expression
+ * @param {Array<string>} patterns - Patterns as typed by the user
+ * @returns {string|undefined} The invalid pattern, if any
+ */
+function findInvalidPattern(patterns) {
+    return patterns.find(pattern => {
+        try {
+            new RegExp(pattern, 'iu');
+            return false;
+        } catch (error) {
+            return true;
+        }
+    });
+}
+
+/**
+ * Load the message filters into the form
+ */
+async function loadFilters() {
+    try {
+        const { chatFilters } = await browserAPI.storage.local.get({ chatFilters: DEFAULT_FILTERS });
+        const filters = { ...DEFAULT_FILTERS, ...chatFilters };
+
+        elements.filterHideCommands.checked = filters.hideCommands;
+        elements.filterHideBots.checked = filters.hideBots;
+        elements.filterBots.value = filters.bots.join('\n');
+        elements.filterMutedUsers.value = filters.mutedUsers.join('\n');
+        elements.filterKeywords.value = filters.keywords.join('\n');
+        elements.filterMinBadge.value = filters.minBadge;
+        elements.filterMessageType.value = filters.messageType;
+    } catch (error) {
+        console.error('Failed to load filters:', error);
+    }
+}
+
+/**
+ * Store the message filters and apply them to the chat in the active tab
+ */
+async function saveFilters() {
+    const keywords = readLines(elements.filterKeywords);
+    const invalid = findInvalidPattern(keywords);
+    if (invalid) {
+        showMessage(`Ongeldige regex: ${invalid}`, 'error');
+        return;
+    }
+
+    const filters = {
+        mutedUsers: readLines(elements.filterMutedUsers),
+        hideBots: elements.filterHideBots.checked,
+        bots: readLines(elements.filterBots),
+        hideCommands: elements.filterHideCommands.checked,
+        keywords: keywords,
+        minBadge: elements.filterMinBadge.value,
+        messageType: elements.filterMessageType.value
+    };
+
+    try {
+        await browserAPI.storage.local.set({ chatFilters: filters });
+    } catch (error) {
+        console.error('Failed to save filters:', error);
+        showMessage('Kan filters niet opslaan', 'error');
+        return;
+    }
+
+    try {
+        await sendToActiveTab({ action: 'updateFilters', filters: filters });
+    } catch (error) {
+        console.log('Content script not available (normal if not on YouTube)');
+    }
+
+    showMessage('Filters opgeslagen!', 'success');
+}
+
+/**
+ * Load the highlight rules into the form
+ */
+async function loadHighlights() {
+    try {
+        const { chatHighlights } = await browserAPI.storage.local.get({ chatHighlights: DEFAULT_HIGHLIGHTS });
+        const highlights = { ...DEFAULT_HIGHLIGHTS, ...chatHighlights };
+
+        elements.highlightBadges.checked = highlights.badges;
+        elements.highlightMentions.checked = highlights.mentions;
+        elements.highlightMembers.value = highlights.members.join('\n');
+        elements.highlightUsername.value = highlights.username;
+        elements.highlightKeywords.value = highlights.keywords.join('\n');
+        elements.highlightsOnly.checked = highlights.highlightsOnly;
+    } catch (error) {
+        console.error('Failed to load highlights:', error);
+    }
+}
+
+/**
+ * Store the highlight rules and apply them to the chat in the active tab
+ */
+async function saveHighlights() {
+    const keywords = readLines(elements.highlightKeywords);
+    const invalid = findInvalidPattern(keywords);
+    if (invalid) {
+        showMessage(`Ongeldige regex: ${invalid}`, 'error');
+        return;
+    }
+
+    const highlights = {
+        badges: elements.highlightBadges.checked,
+        mentions: elements.highlightMentions.checked,
+        members: readLines(elements.highlightMembers),
+        username: elements.highlightUsername.value.trim(),
+        keywords: keywords,
+        highlightsOnly: elements.highlightsOnly.checked
+    };
+
+    try {
+        await browserAPI.storage.local.set({ chatHighlights: highlights });
+    } catch (error) {
+        console.error('Failed to save highlights:', error);
+        showMessage('Kan highlights niet opslaan', 'error');
+        return;
+    }
+
+    try {
+        await sendToActiveTab({ action: 'updateHighlights', highlights: highlights });
+    } catch (error) {
+        console.log('Content script not available (normal if not on YouTube)');
+    }
+
+    showMessage('Highlights opgeslagen!', 'success');
+}
+
+// Last auto sync state reported by the content script
+let autoSyncState = 'idle';
+
+/**
+ * Start auto sync, or stop it while it is sampling
+ */
+async function toggleAutoSync() {
+    try {
+        if (autoSyncState === 'sampling') {
+            await sendToActiveTab({ action: 'cancelAutoSync' });
+        } else {
+            const response = await sendToActiveTab({ action: 'startAutoSync' });
+            if (!response || !response.success) {
+                showMessage(response?.error || 'Kan detectie niet starten', 'error');
+            }
+        }
+    } catch (error) {
+        console.error('Failed to toggle auto sync:', error);
+        showMessage('Kan detectie niet starten', 'error');
+    }
+
+    await updateAutoSyncStatus();
+}
+
+/**
+ * Apply the offset proposed by auto sync
+ */
+async function acceptAutoSync() {
+    try {
+        const response = await sendToActiveTab({ action: 'acceptAutoSyncOffset' });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from content script');
+        }
+
+        renderOffsetInfo(await sendToActiveTab({ action: 'getOffsetInfo' }));
+        showMessage('Offset toegepast', 'success');
+    } catch (error) {
+        console.error('Failed to apply auto sync offset:', error);
+        showMessage('Kan offset niet toepassen', 'error');
+    }
+
+    await updateAutoSyncStatus();
+}
+
+/**
+ * Show auto sync progress and the proposed offset
+ */
+async function updateAutoSyncStatus() {
+    let status = null;
+    try {
+        status = await sendToActiveTab({ action: 'getAutoSyncStatus' });
+    } catch (error) {
+        // Content script not available
+    }
+
+    autoSyncState = status?.state || 'idle';
+    elements.startAutoSync.textContent = autoSyncState === 'sampling' ? 'Stoppen' : 'Start detectie';
+    elements.acceptAutoSync.classList.toggle('hidden', autoSyncState !== 'done');
+
+    if (autoSyncState === 'sampling') {
+        elements.autoSyncStatus.textContent = `Luisteren... ${Math.round(status.progress * 100)}% (laat de video spelen)`;
+    } else if (autoSyncState === 'done') {
+        const { offset, confidence } = status.proposal;
+        elements.autoSyncStatus.textContent = `Voorstel: ${secondsToMMSS(offset)} (betrouwbaarheid ${Math.round(confidence * 100)}%)`;
+    } else if (autoSyncState === 'error') {
+        elements.autoSyncStatus.textContent = `Detectie mislukt: ${status.error}`;
+    } else {
+        elements.autoSyncStatus.textContent = 'Vergelijkt het geluid van de video met de chat-activiteit';
+    }
+}
+
+/**
+ * Link the Twitch VOD from the input to the current YouTube video
+ */
+async function linkTwitchVod() {
+    const twitchVodId = parseTwitchVodId(elements.twitchVodInput.value);
+    if (!twitchVodId) {
+        showMessage('Ongeldige Twitch VOD (gebruik ID of twitch.tv/videos URL)', 'error');
+        return;
+    }
+
+    try {
+        const currentTab = await getActiveTab();
+        const youtubeVideoId = currentTab ? getYouTubeVideoId(currentTab.url) : null;
+
+        if (!youtubeVideoId) {
+            showMessage('Open eerst een YouTube video', 'error');
+            return;
+        }
+
+        elements.linkTwitchVod.disabled = true;
+        const response = await browserAPI.tabs.sendMessage(currentTab.id, {
+            action: 'linkTwitchVOD',
+            youtubeVideoId: youtubeVideoId,
+            twitchVodId: twitchVodId
+        });
+
+        if (response && response.success) {
+            elements.twitchVodInput.value = '';
+            showMessage('Twitch VOD gekoppeld!', 'success');
+        } else {
+            console.error('Failed to link Twitch VOD:', response?.error);
+            showMessage('Kan Twitch VOD niet koppelen', 'error');
+        }
+    } catch (error) {
+        console.error('Failed to link Twitch VOD:', error);
+        showMessage('Kan Twitch VOD niet koppelen', 'error');
+    } finally {
+        elements.linkTwitchVod.disabled = false;
+        await renderManualLinks();
+        await updateStatus();
+    }
+}
+
+/**
+ * Import the selected chat file for the video in the active tab
+ * The content script stores it through the background import and starts syncing it.
+ */
+async function importVideoChatFile() {
+    const file = elements.videoChatFileInput.files[0];
+    elements.videoChatFileInput.value = '';
+    if (!file) return;
+
+    try {
+        const currentTab = await getActiveTab();
+        if (!currentTab || !getYouTubeVideoId(currentTab.url)) {
+            showMessage('Open eerst een YouTube video', 'error');
+            return;
+        }
+
+        const response = await browserAPI.tabs.sendMessage(currentTab.id, {
+            action: 'importChatFile',
+            text: await file.text(),
+            fileName: file.name
+        });
+
+        if (response && response.success) {
+            showMessage(`${response.messageCount} berichten geïmporteerd`, 'success');
+        } else {
+            console.error('Failed to import chat file:', response?.error);
+            showMessage(`Kan bestand niet importeren: ${response?.error || 'onbekende fout'}`, 'error');
+        }
+    } catch (error) {
+        console.error('Failed to import chat file:', error);
+        showMessage('Kan bestand niet importeren', 'error');
+    }
+
+    await renderManualLinks();
+    await updateStatus();
+}
+
+/**
+ * Remove a chat file imported for a video
+ * @param {string} youtubeVideoId - YouTube video ID
+ */
+async function removeImportedChat(youtubeVideoId) {
+    try {
+        const currentTab = await getActiveTab();
+
+        if (currentTab && getYouTubeVideoId(currentTab.url) === youtubeVideoId) {
+            const response = await browserAPI.tabs.sendMessage(currentTab.id, {
+                action: 'removeImportedChat',
+                youtubeVideoId: youtubeVideoId
             });
 
-            if (response && response.currentTime !== undefined) {
-                const currentTimeSeconds = Math.floor(response.currentTime);
-                elements.timeOffset.value = secondsToMMSS(currentTimeSeconds);
-                await saveSettings();
-                showMessage('Tijd ingesteld op huidige positie', 'success');
-            } else {
-                showMessage('Kan huidige tijd niet ophalen', 'error');
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'No response from content script');
+            }
+        } else {
+            const stored = await browserAPI.storage.local.get({ importedChats: {} });
+            const importedChats = stored.importedChats || {};
+            const removed = importedChats[youtubeVideoId];
+            delete importedChats[youtubeVideoId];
+            await browserAPI.storage.local.set({ importedChats: importedChats });
+            if (removed?.vodId) {
+                await browserAPI.runtime.sendMessage({ action: 'deleteImportedChat', vodId: removed.vodId });
             }
         }
+
+        showMessage('Import verwijderd', 'success');
     } catch (error) {
-        console.error('Failed to get current time:', error);
-        showMessage('Kan huidige tijd niet ophalen', 'error');
+        console.error('Failed to remove imported chat:', error);
+        showMessage('Kan import niet verwijderen', 'error');
     }
+
+    await renderManualLinks();
+    await updateStatus();
+}
+
+/**
+ * Remove a manual link
+ * Goes through the content script when the video is open in the active tab,
+ * so it can restore the YouTube chat; otherwise edits storage directly.
+ * @param {string} youtubeVideoId - YouTube video ID to unlink
+ */
+async function removeManualLink(youtubeVideoId) {
+    try {
+        const currentTab = await getActiveTab();
+
+        if (currentTab && getYouTubeVideoId(currentTab.url) === youtubeVideoId) {
+            const response = await browserAPI.tabs.sendMessage(currentTab.id, {
+                action: 'removeManualLink',
+                youtubeVideoId: youtubeVideoId
+            });
+
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'No response from content script');
+            }
+        } else {
+            const stored = await browserAPI.storage.local.get({ manualLinks: {} });
+            const manualLinks = stored.manualLinks || {};
+            delete manualLinks[youtubeVideoId];
+            await browserAPI.storage.local.set({ manualLinks: manualLinks });
+        }
+
+        showMessage('Koppeling verwijderd', 'success');
+    } catch (error) {
+        console.error('Failed to remove manual link:', error);
+        showMessage('Kan koppeling niet verwijderen', 'error');
+    }
+
+    await renderManualLinks();
+    await updateStatus();
+}
+
+/**
+ * Render the list of stored manual links
+ */
+async function renderManualLinks() {
+    try {
+        const stored = await browserAPI.storage.local.get({ manualLinks: {}, importedChats: {} });
+        const manualLinks = stored.manualLinks || {};
+        const importedChats = stored.importedChats || {};
+        const currentTab = await getActiveTab();
+        const currentVideoId = currentTab ? getYouTubeVideoId(currentTab.url) : null;
+
+        const entries = [
+            ...Object.keys(manualLinks).map(videoId => ({
+                videoId: videoId,
+                target: manualLinks[videoId],
+                remove: () => removeManualLink(videoId)
+            })),
+            ...Object.keys(importedChats).map(videoId => ({
+                videoId: videoId,
+                target: `📄 ${importedChats[videoId].name}`,
+                remove: () => removeImportedChat(videoId)
+            }))
+        ];
+
+        elements.manualLinkList.textContent = '';
+        elements.noManualLinks.classList.toggle('hidden', entries.length > 0);
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'link-item';
+            if (entry.videoId === currentVideoId) {
+                item.classList.add('current');
+            }
+
+            const label = document.createElement('span');
+            label.className = 'link-label';
+            label.textContent = `${entry.videoId} → ${entry.target}`;
+            label.title = entry.videoId === currentVideoId ? 'Huidige video' : entry.videoId;
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn btn-small btn-secondary';
+            removeButton.textContent = '✕';
+            removeButton.setAttribute('aria-label', `Verwijder koppeling voor ${entry.videoId}`);
+            removeButton.addEventListener('click', entry.remove);
+
+            item.appendChild(label);
+            item.appendChild(removeButton);
+            elements.manualLinkList.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Failed to load manual links:', error);
+    }
+}
+
+/**
+ * Show how much chat data is cached
+ */
+async function updateCacheUsage() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({ action: 'getCacheStats' });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background script');
+        }
+
+        const { count, bytes, offlineCount, offlineBytes, maxBytes } = response.stats;
+        elements.cacheUsage.textContent = `${count} VOD${count === 1 ? '' : 's'}, ${formatBytes(bytes)} / ${formatBytes(maxBytes)}`;
+        if (offlineCount > 0) {
+            elements.cacheUsage.textContent += ` (+${offlineCount} offline, ${formatBytes(offlineBytes)})`;
+        }
+    } catch (error) {
+        console.error('Failed to get cache usage:', error);
+        elements.cacheUsage.textContent = 'Onbekend';
+    }
+}
+
+/**
+ * Remove all cached chat data
+ */
+async function clearChatCache() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({ action: 'clearChatCache' });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background script');
+        }
+        showMessage('Cache geleegd', 'success');
+    } catch (error) {
+        console.error('Failed to clear cache:', error);
+        showMessage('Kan cache niet legen', 'error');
+    }
+
+    await updateCacheUsage();
+}
+
+/**
+ * Send YouTube videos to the background offline download queue
+ * @param {Array<string>} youtubeVideoIds - YouTube video IDs
+ */
+async function sendToOfflineQueue(youtubeVideoIds) {
+    const response = await browserAPI.runtime.sendMessage({
+        action: 'queueOfflineDownloads',
+        youtubeVideoIds: youtubeVideoIds
+    });
+
+    if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from background script');
+    }
+    return response.added;
+}
+
+/**
+ * Queue the videos entered in the offline input
+ */
+async function queueOfflineVideos() {
+    const lines = elements.offlineVideoInput.value.split(/\s+/).filter(Boolean);
+    const videoIds = lines.map(parseYouTubeVideoId);
+
+    if (videoIds.length === 0 || videoIds.includes(null)) {
+        showMessage('Ongeldige YouTube video (gebruik ID of URL)', 'error');
+        return;
+    }
+
+    try {
+        const added = await sendToOfflineQueue(videoIds);
+        elements.offlineVideoInput.value = '';
+        showMessage(`${added} video('s) toegevoegd`, 'success');
+    } catch (error) {
+        console.error('Failed to queue offline downloads:', error);
+        showMessage('Kan downloads niet starten', 'error');
+    }
+}
+
+/**
+ * Queue every video of the playlist in the active tab
+ */
+async function queuePlaylist() {
+    try {
+        const tab = await getActiveTab();
+        if (!tab) return;
+
+        const response = await browserAPI.tabs.sendMessage(tab.id, { action: 'getPlaylistVideoIds' });
+        if (!response || !response.videoIds || response.videoIds.length === 0) {
+            showMessage('Geen playlist gevonden op deze pagina', 'error');
+            return;
+        }
+
+        const added = await sendToOfflineQueue(response.videoIds);
+        showMessage(`${added} video('s) toegevoegd`, 'success');
+    } catch (error) {
+        console.error('Failed to queue playlist:', error);
+        showMessage('Open een YouTube playlist', 'error');
+    }
+}
+
+/**
+ * Send an action for one offline queue entry to the background script
+ * @param {string} action - 'retryOfflineDownload' or 'removeOfflineDownload'
+ * @param {string} youtubeVideoId - YouTube video ID
+ */
+async function updateOfflineEntry(action, youtubeVideoId) {
+    try {
+        const response = await browserAPI.runtime.sendMessage({ action: action, youtubeVideoId: youtubeVideoId });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background script');
+        }
+    } catch (error) {
+        console.error(`Failed to ${action}:`, error);
+        showMessage('Actie mislukt', 'error');
+    }
+}
+
+/**
+ * Render the offline download queue with progress and failures
+ * @param {Array<Object>} [queue] - Queue entries, read from storage when omitted
+ */
+async function renderOfflineQueue(queue) {
+    try {
+        if (!queue) {
+            const stored = await browserAPI.storage.local.get({ offlineQueue: [] });
+            queue = stored.offlineQueue || [];
+        }
+
+        const done = queue.filter(item => item.status === 'done').length;
+        const failed = queue.filter(item => item.status === 'failed').length;
+        elements.offlineProgress.textContent = queue.length === 0 ? 'Nog geen offline chats' :
+            `${done}/${queue.length} gedownload${failed > 0 ? `, ${failed} mislukt` : ''}`;
+
+        const statusLabels = {
+            queued: 'In wachtrij',
+            downloading: 'Downloaden',
+            done: 'Klaar',
+            failed: 'Mislukt'
+        };
+
+        elements.offlineQueueList.textContent = '';
+        queue.forEach(item => {
+            const listItem = document.createElement('li');
+            listItem.className = `link-item offline-${item.status}`;
+
+            const label = document.createElement('span');
+            label.className = 'link-label';
+            let status = statusLabels[item.status] || item.status;
+            if (item.status === 'downloading' && item.progress > 0) {
+                status += ` ${Math.round(item.progress * 100)}%`;
+            } else if (item.status === 'queued' && item.attempts > 0) {
+                status += ` (poging ${item.attempts + 1})`;
+            }
+            label.textContent = `${item.youtubeVideoId} · ${status}`;
+            label.title = item.error || '';
+
+            const buttons = document.createElement('span');
+            if (item.status === 'failed') {
+                const retryButton = document.createElement('button');
+                retryButton.className = 'btn btn-small btn-primary';
+                retryButton.textContent = '↻';
+                retryButton.setAttribute('aria-label', `Opnieuw proberen voor ${item.youtubeVideoId}`);
+                retryButton.addEventListener('click', () => updateOfflineEntry('retryOfflineDownload', item.youtubeVideoId));
+                buttons.appendChild(retryButton);
+            }
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn btn-small btn-secondary';
+            removeButton.textContent = '✕';
+            removeButton.setAttribute('aria-label', `Verwijder ${item.youtubeVideoId}`);
+            removeButton.addEventListener('click', () => updateOfflineEntry('removeOfflineDownload', item.youtubeVideoId));
+            buttons.appendChild(removeButton);
+
+            listItem.appendChild(label);
+            listItem.appendChild(buttons);
+            elements.offlineQueueList.appendChild(listItem);
+        });
+    } catch (error) {
+        console.error('Failed to load offline queue:', error);
+    }
+}
+
+/**
+ * Load the data providers and their health from the background script
+ */
+async function loadProviders() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({ action: 'getProviders' });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background script');
+        }
+
+        providers = response.providers;
+        renderProviders(response.health || {});
+    } catch (error) {
+        console.error('Failed to load providers:', error);
+    }
+}
+
+/**
+ * Store the provider list and render it again
+ */
+async function saveProviders() {
+    try {
+        const response = await browserAPI.runtime.sendMessage({ action: 'saveProviders', providers: providers });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background script');
+        }
+    } catch (error) {
+        console.error('Failed to save providers:', error);
+        showMessage('Kan databronnen niet opslaan', 'error');
+    }
+
+    await loadProviders();
+}
+
+/**
+ * Move a provider up or down among the providers of the same kind
+ * @param {string} providerId - Provider ID
+ * @param {number} direction - -1 to try it earlier, 1 to try it later
+ */
+async function moveProvider(providerId, direction) {
+    const idx = providers.findIndex(provider => provider.id === providerId);
+    const kind = providers[idx].kind;
+
+    let swapIdx = idx + direction;
+    while (swapIdx >= 0 && swapIdx < providers.length && providers[swapIdx].kind !== kind) {
+        swapIdx += direction;
+    }
+    if (swapIdx < 0 || swapIdx >= providers.length) return;
+
+    [providers[idx], providers[swapIdx]] = [providers[swapIdx], providers[idx]];
+    await saveProviders();
+}
+
+/**
+ * Render the provider list with health indicators
+ * @param {Object} health - Last check result by provider ID
+ */
+function renderProviders(health) {
+    const kindLabels = { chat: 'Chat', offsets: 'Offsets', emotes: 'Emotes' };
+
+    elements.providerList.textContent = '';
+    providers.forEach(provider => {
+        const item = document.createElement('li');
+        item.className = 'link-item provider-item';
+
+        const status = health[provider.id];
+        const dot = document.createElement('span');
+        dot.className = 'status-dot';
+        if (status) {
+            dot.classList.add(status.ok ? 'active' : 'error');
+        }
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = provider.enabled;
+        toggle.setAttribute('aria-label', `${provider.name} gebruiken`);
+        toggle.addEventListener('change', async () => {
+            // Without access to the host, e.g. the local server, every fetch would fail
+            if (toggle.checked && provider.type === 'remote' && !await requestHostAccess(provider.url)) {
+                toggle.checked = false;
+                showMessage('Geen toegang tot deze website', 'error');
+                return;
+            }
+            provider.enabled = toggle.checked;
+            saveProviders();
+        });
+
+        const label = document.createElement('span');
+        label.className = 'link-label';
+        label.textContent = `${kindLabels[provider.kind]}: ${provider.name}`;
+        label.title = [provider.url, status?.error].filter(Boolean).join('\n');
+
+        const buttons = document.createElement('span');
+        [['↑', -1, 'Eerder proberen'], ['↓', 1, 'Later proberen']].forEach(([text, direction, ariaLabel]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-small btn-secondary';
+            button.textContent = text;
+            button.setAttribute('aria-label', `${ariaLabel}: ${provider.name}`);
+            button.addEventListener('click', () => moveProvider(provider.id, direction));
+            buttons.appendChild(button);
+        });
+
+        if (!provider.builtin) {
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn btn-small btn-secondary';
+            removeButton.textContent = '✕';
+            removeButton.setAttribute('aria-label', `Verwijder ${provider.name}`);
+            removeButton.addEventListener('click', () => {
+                providers = providers.filter(other => other.id !== provider.id);
+                saveProviders();
+            });
+            buttons.appendChild(removeButton);
+        }
+
+        item.appendChild(dot);
+        item.appendChild(toggle);
+        item.appendChild(label);
+        item.appendChild(buttons);
+        elements.providerList.appendChild(item);
+    });
+}
+
+/**
+ * Add a custom chat mirror from the mirror URL input
+ */
+async function addMirror() {
+    const url = elements.mirrorUrlInput.value.trim();
+
+    let parsed;
+    try {
+        parsed = new URL(url.replace('{vodId}', '0'));
+    } catch (error) {
+        parsed = null;
+    }
+    if (!parsed || !['https:', 'http:'].includes(parsed.protocol) || !url.includes('{vodId}')) {
+        showMessage('Ongeldige URL (gebruik {vodId} in de URL)', 'error');
+        return;
+    }
+
+    // Mirrors can live on any host, so ask for access to this one
+    if (!await requestHostAccess(url)) {
+        showMessage('Geen toegang tot deze website', 'error');
+        return;
+    }
+
+    providers.push({
+        id: `mirror-${Date.now()}`,
+        name: parsed.hostname,
+        kind: 'chat',
+        type: 'remote',
+        url: url,
+        enabled: true,
+        builtin: false
+    });
+    elements.mirrorUrlInput.value = '';
+    await saveProviders();
+    showMessage('Mirror toegevoegd', 'success');
+}
+
+/**
+ * Import the selected chat files for the local provider
+ * The Twitch VOD ID is taken from the file name, e.g. chat_123456789.json.
+ */
+async function importChatFiles() {
+    const files = [...elements.chatFileInput.files];
+    elements.chatFileInput.value = '';
+    if (files.length === 0) return;
+
+    try {
+        const imports = await Promise.all(files.map(async (file) => {
+            const match = file.name.match(/(\d+)\.(?:json|txt|log)$/i);
+            if (!match) {
+                throw new Error(`Geen VOD ID in bestandsnaam: ${file.name}`);
+            }
+            return { vodId: match[1], name: file.name, text: await file.text() };
+        }));
+
+        const response = await browserAPI.runtime.sendMessage({ action: 'importChatFiles', files: imports });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background script');
+        }
+        showMessage(`${response.count} bestand(en) geïmporteerd`, 'success');
+    } catch (error) {
+        console.error('Failed to import chat files:', error);
+        showMessage('Kan bestanden niet importeren', 'error');
+    }
+}
+
+/**
+ * Check every enabled provider
+ */
+async function checkProviders() {
+    elements.checkProviders.disabled = true;
+    try {
+        await browserAPI.runtime.sendMessage({ action: 'checkProviders' });
+    } catch (error) {
+        console.error('Failed to check providers:', error);
+    } finally {
+        elements.checkProviders.disabled = false;
+    }
+    await loadProviders();
 }
 
 /**
@@ -265,8 +1491,7 @@ async function setCurrentVideoTime() {
  */
 async function updateStatus() {
     try {
-        const tabs = await browserAPI.tabs.query({ active: true, currentWindow: true });
-        const currentTab = tabs[0];
+        const currentTab = await getActiveTab();
 
         if (!currentTab) {
             setStatus('Geen actief tabblad', 'error');
@@ -276,6 +1501,8 @@ async function updateStatus() {
         const isYouTube = currentTab.url && currentTab.url.includes('youtube.com/watch');
 
         if (!isYouTube) {
+            elements.manualLinkSection.classList.add('hidden');
+            renderDataIssues([]);
             setStatus('Niet op YouTube', 'inactive');
             return;
         }
@@ -300,6 +1527,9 @@ async function updateStatus() {
                 action: 'getStatus'
             });
 
+            elements.manualLinkSection.classList.toggle('hidden', !(response && response.isManualLinkMode));
+            renderDataIssues(response?.dataIssues || []);
+
             if (response && response.status) {
                 setStatus(response.message || 'Actief', 'active');
             } else {
@@ -330,11 +1560,43 @@ function setStatus(message, type) {
     }
 }
 
+// Readable names for the data sources the content script validates
+const DATA_SOURCE_LABELS = {
+    chat: 'Chatdata',
+    init: 'Laden mislukt',
+    'image_ids.json': 'image_ids.json',
+    'yt-ttv.json': 'yt-ttv.json'
+};
+
+/**
+ * Show the validation problems reported by the content script
+ * @param {Array<Object>} issues - { source, skipped, examples }
+ */
+function renderDataIssues(issues) {
+    elements.dataIssues.textContent = '';
+    elements.dataIssues.classList.toggle('hidden', issues.length === 0);
+
+    issues.forEach(issue => {
+        const item = document.createElement('li');
+        const label = DATA_SOURCE_LABELS[issue.source] || issue.source;
+        item.textContent = issue.source === 'init'
+            ? `${label}: ${issue.examples[0]}`
+            : `${label}: ${issue.skipped} overgeslagen (${issue.examples.join('; ')})`;
+        elements.dataIssues.appendChild(item);
+    });
+}
+
 /**
  * Report an issue
+ * @param {Object} [issue] - Optional title and body to prefill
  */
-function reportIssue() {
-    const issueUrl = 'https://github.com/hbo-nerds/lekker-chat/issues/new';
+function reportIssue(issue = {}) {
+    const params = new URLSearchParams();
+    if (issue.title) params.set('title', issue.title);
+    if (issue.body) params.set('body', issue.body);
+
+    const query = params.toString();
+    const issueUrl = 'https://github.com/hbo-nerds/lekker-chat/issues/new' + (query ? `?${query}` : '');
     browserAPI.tabs.create({ url: issueUrl });
 }
 
@@ -374,4 +1636,5 @@ function showMessage(message, type) {
 }
 
 // Update status periodically
-setInterval(updateStatus, 2000);
\ No newline at end of file
+setInterval(updateStatus, 2000);
+setInterval(updateAutoSyncStatus, 1000);
\ No newline at end of file
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Add dated third-party emote snapshots to data/emotes.json
+ *
+ * Usage:
+ *   node scripts/update-emotes.js               Snapshot of today's live emotes
+ *   node scripts/update-emotes.js 2023-06-01    Snapshot from archived API responses
+ *
+ * Past dates are read from the Internet Archive. Responses captured after the
+ * requested date are skipped, since those can hold emotes added later.
+ * Requires Node 18 or newer for fetch.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseEmoteResponse } = require('../emote-parser');
+
+const EMOTES_FILE = path.join(__dirname, '..', 'data', 'emotes.json');
+const CHANNEL_LOGIN = 'lekkerspelen';
+const ARCHIVE_URL = 'https://web.archive.org/web/{timestamp}id_/{url}';
+
+// Same services, order and URLs as the builtin emote providers in background.js
+const SOURCES = [
+    {
+        service: '7tv',
+        channel: 'https://7tv.io/v3/users/twitch/{twitchId}',
+        global: 'https://7tv.io/v3/emote-sets/global'
+    },
+    {
+        service: 'bttv',
+        channel: 'https://api.betterttv.net/3/cached/users/twitch/{twitchId}',
+        global: 'https://api.betterttv.net/3/cached/emotes/global'
+    },
+    {
+        service: 'ffz',
+        channel: 'https://api.frankerfacez.com/v1/room/id/{twitchId}',
+        global: 'https://api.frankerfacez.com/v1/set/global'
+    }
+];
+
+/**
+ * Fetch a JSON API response, live or as archived on a date
+ * @param {string} url - API URL
+ * @param {string|null} date - 'YYYY-MM-DD' to read the archived response, null for live
+ * @returns {Promise<Object|null>} Parsed response, or null when no capture from on or before the date exists
+ */
+async function fetchJson(url, date) {
+    const requestUrl = date
+        ? ARCHIVE_URL.replace('{timestamp}', date.replace(/-/g, '')).replace('{url}', url)
+        : url;
+
+    const response = await fetch(requestUrl, { headers: { 'Accept': 'application/json' } });
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText} (${url})`);
+    }
+
+    // The archive redirects to its nearest capture, which can be after the date
+    const capture = response.url.match(/\/web\/(\d{8})/);
+    if (date && (!capture || capture[1] > date.replace(/-/g, ''))) {
+        console.warn(`No capture from on or before ${date} for ${url}`);
+        return null;
+    }
+
+    return response.json();
+}
+
+/**
+ * Look up the Twitch user ID for a channel login through FrankerFaceZ
+ * @param {string} login - Twitch channel login
+ * @returns {Promise<string>} Twitch user ID
+ */
+async function resolveTwitchUserId(login) {
+    const data = await fetchJson(`https://api.frankerfacez.com/v1/room/${encodeURIComponent(login)}`, null);
+    const twitchId = data?.room?.twitch_id;
+    if (!twitchId) {
+        throw new Error(`Unknown Twitch channel ${login}`);
+    }
+    return String(twitchId);
+}
+
+/**
+ * Collect the channel and global emotes of every service
+ * @param {string} twitchId - Twitch user ID of the channel
+ * @param {string|null} date - 'YYYY-MM-DD' for archived responses, null for live
+ * @returns {Promise<Object>} Emotes by name
+ */
+async function buildSnapshot(twitchId, date) {
+    const emotes = {};
+
+    for (const source of SOURCES) {
+        for (const url of [source.channel.replace('{twitchId}', twitchId), source.global]) {
+            const data = await fetchJson(url, date);
+            if (!data) continue;
+
+            // Earlier services and channel emotes win over later ones with the same name
+            const parsed = parseEmoteResponse(source.service, data);
+            Object.keys(parsed).forEach(name => {
+                if (!emotes[name]) emotes[name] = parsed[name];
+            });
+        }
+    }
+
+    return emotes;
+}
+
+async function main() {
+    const dates = process.argv.slice(2);
+    const invalid = dates.filter(date => !/^\d{4}-\d{2}-\d{2}$/.test(date));
+    if (invalid.length > 0) {
+        throw new Error(`Dates must be YYYY-MM-DD: ${invalid.join(', ')}`);
+    }
+
+    const data = JSON.parse(fs.readFileSync(EMOTES_FILE, 'utf8'));
+    data.snapshots = data.snapshots || {};
+
+    const twitchId = await resolveTwitchUserId(CHANNEL_LOGIN);
+    const requests = dates.length > 0 ? dates : [null];
+
+    for (const date of requests) {
+        const snapshotDate = date || new Date().toISOString().slice(0, 10);
+        const emotes = await buildSnapshot(twitchId, date);
+        if (Object.keys(emotes).length === 0) {
+            console.warn(`No emotes found for ${snapshotDate}, skipped`);
+            continue;
+        }
+
+        data.snapshots[snapshotDate] = emotes;
+        console.log(`${snapshotDate}: ${Object.keys(emotes).length} emotes`);
+    }
+
+    // Sorted keys keep the diff of a new snapshot small
+    const sorted = Object.fromEntries(Object.keys(data.snapshots).sort().map(key => [key, data.snapshots[key]]));
+    fs.writeFileSync(EMOTES_FILE, JSON.stringify({ snapshots: sorted }, null, 4) + '\n');
+}
+
+main().catch(error => {
+    console.error('Could not update emotes.json:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,57 @@
+/**
+ * Load the content scripts into a jsdom window for tests
+ * The extension APIs are stubbed with sync switched off, so the content
+ * script only sets up its globals and never starts loading chat.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+
+// The browser runs the listed files in one shared scope, so they are joined into one script
+const CONTENT_SCRIPT = MANIFEST.content_scripts[0].js
+    .map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'))
+    .join('\n');
+
+/**
+ * Create a window running the content scripts
+ * Top-level let/const bindings like chatData are not window properties, so
+ * the returned evaluate runs code inside the content script's own scope.
+ * @returns {Promise<Object>} { window, evaluate }; close the window when done to stop the URL watcher
+ */
+async function loadContentScript() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://www.youtube.com/',
+        runScripts: 'outside-only'
+    });
+    const window = dom.window;
+
+    window.chrome = {
+        runtime: {
+            getURL: (file) => `chrome-extension://lekker-chat/${file}`,
+            sendMessage: async () => ({ success: false }),
+            onMessage: { addListener: () => {} }
+        },
+        storage: {
+            local: {
+                get: (keys, callback) => callback({ ...keys, enableSync: false }),
+                set: (items, callback) => callback?.(),
+                remove: (keys, callback) => callback?.()
+            }
+        }
+    };
+    window.console = { ...console, log: () => {}, warn: () => {} };
+
+    window.eval(`${CONTENT_SCRIPT}\n;window.__evaluateContentScript = (code) => eval(code);`);
+    const evaluate = window.__evaluateContentScript;
+    delete window.__evaluateContentScript;
+
+    // Let initConfig finish, it compiles the highlight rules createChatMessage uses
+    await new Promise(resolve => setTimeout(resolve, 0));
+    return { window: window, evaluate: evaluate };
+}
+
+module.exports = { loadContentScript };
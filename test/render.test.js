@@ -0,0 +1,193 @@
+/**
+ * Hostile chat data must render as text, never as markup, scripts, styles or foreign URLs
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadContentScript } = require('./helpers/load-content');
+
+const IMG_PAYLOAD = '<img src=x onerror="window.injected = true">';
+const TRAVERSAL_ID = '../../../evil?x=1#frag';
+
+let window;
+let evaluate;
+
+before(async () => {
+    ({ window, evaluate } = await loadContentScript());
+});
+
+after(() => {
+    window.close();
+});
+
+/**
+ * Render a message from one author through createChatMessage
+ * @param {Object} message - Comment fields on top of a plain message
+ * @param {Object} [author] - Commenter fields on top of a plain author
+ * @returns {HTMLElement} Rendered list item
+ */
+function render(message, author = {}) {
+    evaluate('chatData').commenters = {
+        fixture: { name: 'fixture', display_name: 'Fixture', color: '#ff0000', badges: [], ...author }
+    };
+    return window.createChatMessage({ commenter: 'fixture', content_offset_seconds: 0, message: '', ...message });
+}
+
+/**
+ * Check a rendered message for injected elements, handlers, styles and URLs
+ * @param {HTMLElement} li - Rendered list item
+ */
+function assertNoInjection(li) {
+    assert.strictEqual(li.querySelector('script, style, iframe, object, embed, svg, link'), null);
+    li.querySelectorAll('*').forEach(element => {
+        [...element.attributes].forEach(attribute => {
+            assert.ok(!/^on/i.test(attribute.name), `handler attribute ${attribute.name} on <${element.localName}>`);
+        });
+    });
+    li.querySelectorAll('img').forEach(img => {
+        assert.ok(window.isAllowedImageUrl(img.getAttribute('src')), `image from ${img.getAttribute('src')}`);
+    });
+    li.querySelectorAll('[href]').forEach(link => {
+        assert.match(link.getAttribute('href'), /^https:\/\/twitch\.tv\/\w+$/);
+    });
+    assert.strictEqual(window.injected, undefined);
+}
+
+/**
+ * Check that an image URL kept a hostile ID inside one path segment
+ * @param {string} src - Image URL
+ * @param {string} prefix - Expected start of the URL path
+ */
+function assertEncodedId(src, prefix) {
+    const url = new URL(src);
+    assert.ok(url.pathname.startsWith(prefix), `${url.pathname} outside ${prefix}`);
+    assert.ok(!url.pathname.includes('/../'), `${url.pathname} climbs directories`);
+    assert.strictEqual(url.search, '');
+    assert.strictEqual(url.hash, '');
+}
+
+test.beforeEach(() => {
+    evaluate(`
+        chatData = { comments: [], commenters: {} };
+        imageData = { emoticons: {}, badges: {} };
+        thirdPartyEmotes = {};
+    `);
+});
+
+test('message text with markup renders as text', () => {
+    const li = render({ message: `hoi ${IMG_PAYLOAD} <script>window.injected = true</script>` });
+
+    assertNoInjection(li);
+    assert.strictEqual(li.querySelectorAll('img').length, 0);
+    assert.ok(li.querySelector('.video-chat__message').textContent.includes('<img'));
+});
+
+test('fragment text with markup renders as text', () => {
+    const li = render({
+        message: IMG_PAYLOAD,
+        fragments: [{ text: IMG_PAYLOAD }, { text: '<b onclick="window.injected = true">vet</b>' }]
+    });
+
+    assertNoInjection(li);
+    assert.strictEqual(li.querySelector('b'), null);
+    assert.ok(li.querySelector('.video-chat__message').textContent.includes('onclick'));
+});
+
+test('display name with markup renders as text', () => {
+    const li = render({ message: 'hoi' }, { display_name: IMG_PAYLOAD });
+
+    assertNoInjection(li);
+    assert.strictEqual(li.querySelector('.chat-author__display-name').textContent, IMG_PAYLOAD);
+});
+
+test('author names that are not Twitch logins get no link', () => {
+    ['javascript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'x" onclick="alert(1)', '../admin?x=1']
+        .forEach(name => {
+            const li = render({ message: 'hoi' }, { name: name, display_name: name });
+
+            assertNoInjection(li);
+            assert.strictEqual(li.querySelector('.chat-author-link').hasAttribute('href'), false);
+        });
+});
+
+test('javascript: and data: image URLs are blocked', () => {
+    ['javascript:alert(1)', 'data:image/svg+xml,<svg onload="alert(1)"/>', 'http://static-cdn.jtvnw.net/x.png']
+        .forEach(url => {
+            assert.strictEqual(window.createChatImage(url, 'x', 'chat-image'), null);
+        });
+});
+
+test('CSS in the author colour falls back to white', () => {
+    ['red;background:url(javascript:alert(1))', '#fff;position:fixed', 'expression(alert(1))', '#12345g']
+        .forEach(color => {
+            const li = render({ message: 'hoi' }, { color: color });
+            const name = li.querySelector('.chat-author__display-name');
+
+            assertNoInjection(li);
+            assert.strictEqual(name.getAttribute('style'), 'color: rgb(255, 255, 255);');
+        });
+});
+
+test('CSS in the cheer colour is dropped', () => {
+    const tiers = evaluate('CONSTANTS.CHEERMOTE_TIERS');
+    const colors = tiers.map(tier => tier.color);
+    tiers.forEach(tier => { tier.color = 'red;background:url(javascript:alert(1))'; });
+    try {
+        const li = render({ message: 'Cheer100 hoi', bits_spent: 100 });
+        const cheer = li.querySelector('.chat-cheer');
+
+        assertNoInjection(li);
+        assert.ok(cheer, 'cheer rendered');
+        assert.ok(!(cheer.getAttribute('style') || '').includes('background'));
+    } finally {
+        tiers.forEach((tier, idx) => { tier.color = colors[idx]; });
+    }
+});
+
+test('emote IDs from fragments stay inside the emote path', () => {
+    const li = render({
+        message: 'Kappa',
+        fragments: [{ text: 'Kappa', emoticon: { emoticon_id: TRAVERSAL_ID } }]
+    });
+    const img = li.querySelector('img');
+
+    assertNoInjection(li);
+    assertEncodedId(img.getAttribute('src'), '/emoticons/v2/');
+});
+
+test('emote IDs from image_ids.json stay inside the emote path', () => {
+    evaluate('imageData').emoticons = { Kappa: TRAVERSAL_ID };
+    const li = render({ message: 'Kappa' });
+
+    assertNoInjection(li);
+    assertEncodedId(li.querySelector('img').getAttribute('src'), '/emoticons/v1/');
+});
+
+test('third-party emote IDs stay inside the emote path', () => {
+    evaluate('thirdPartyEmotes = { PepeLaugh: { provider: "7tv", id: ' + JSON.stringify(TRAVERSAL_ID) + ', zeroWidth: false } }');
+    const li = render({ message: 'PepeLaugh' });
+    const img = li.querySelector('img');
+
+    assertNoInjection(li);
+    assert.ok(img, 'emote rendered');
+    assertEncodedId(img.getAttribute('src'), '/emote/');
+});
+
+test('badge IDs stay inside the badge path', () => {
+    evaluate('imageData').badges = { subscriber: { 0: TRAVERSAL_ID } };
+    const li = render({ message: 'hoi' }, { badges: [{ _id: 'subscriber', version: '0' }] });
+    const img = li.querySelector('.chat-badge');
+
+    assertNoInjection(li);
+    assert.ok(img, 'badge rendered');
+    assertEncodedId(img.getAttribute('src'), '/badges/v1/');
+});
+
+test('badge names with markup render as alt text only', () => {
+    evaluate('imageData').badges = { [IMG_PAYLOAD]: { 1: 'abc' } };
+    const li = render({ message: 'hoi' }, { badges: [{ _id: IMG_PAYLOAD, version: '1' }] });
+
+    assertNoInjection(li);
+    assert.strictEqual(li.querySelectorAll('img').length, 1);
+    assert.strictEqual(li.querySelector('.chat-badge').getAttribute('alt'), IMG_PAYLOAD);
+});